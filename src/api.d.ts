@@ -0,0 +1,181 @@
+/// <reference types="node" />
+
+// Type definitions for the package entry point (src/api.js). The course JSON types and
+// the CourseBuilder API are in courseBuilder.d.ts.
+
+import {
+  Course,
+  Cartridge,
+  GenerationOptions,
+  ValidationError,
+  AssessmentMetadata
+} from './courseBuilder';
+
+export * from './courseBuilder';
+
+export interface PackageOptions {
+  /** Receives zip-progress, warning and done events */
+  events?: import('events').EventEmitter;
+  logger?: { info(message: string): void; warn(message: string): void };
+  quiet?: boolean;
+}
+
+/** A packaged cartridge (path or contents), a course file path, or course data */
+export type CourseSource = string | Buffer | Course;
+
+/** Builds the cartridge in memory; throws a CourseValidationError if the course is invalid */
+export function buildCartridge(courseData: Course, options?: GenerationOptions): Cartridge;
+
+/** Writes the cartridge to outputPath and, unless createPackage is false, zips it; resolves to the manifest XML */
+export function generateManifest(
+  courseData: Course,
+  outputPath: string,
+  createPackage?: boolean,
+  options?: GenerationOptions
+): Promise<string>;
+
+/** Zips a cartridge folder, or a cartridge from buildCartridge, to outputFilename + ".imscc" */
+export function createCartridgePackage(source: string | Cartridge, outputFilename: string, options?: PackageOptions): Promise<void>;
+
+/** Reads a packaged cartridge back into course JSON */
+export function parseCartridge(imsccPath: string | Buffer): Promise<Course>;
+
+/** Lists the problems that would stop the course from being generated */
+export function validateCourse(courseData: Course): ValidationError[];
+
+/** Reads a course from a JSON, YAML or CSV file */
+export function loadCourseFile(filePath: string): Promise<Course>;
+
+/** Imports a spreadsheet course outline; throws a CsvImportError listing every bad row */
+export function importCourseCsv(csvText: string, courseFields?: Partial<Course>, options?: { delimiter?: string }): Course;
+
+/** Fills in the {{name}} placeholders of a course template; throws a TemplateError for undefined variables */
+export function applyTemplate<T>(template: T, variables?: { [name: string]: unknown }): T;
+
+/** Reads the variable sets of a batch build from a JSON, YAML or CSV file */
+export function loadVariableSets(filePath: string): Promise<Array<{ [name: string]: unknown }>>;
+
+export interface BatchOptions {
+  outputDir?: string;
+  profile?: GenerationOptions['profile'];
+  platforms?: string[];
+  deepLinking?: boolean;
+  locale?: string;
+}
+
+export interface BatchReport {
+  built: number;
+  failed: number;
+  courses: Array<
+    | { name: string; title: string; output: string; links: number; bytes: number }
+    | { name: string; title: string; error: string }
+  >;
+}
+
+/** Builds one cartridge per variable set from a shared course template */
+export function buildBatch(template: object, variableSets: Array<{ [name: string]: unknown }>, options?: BatchOptions): Promise<BatchReport>;
+
+export type Severity = 'error' | 'warning' | 'info';
+
+export interface LintIssue {
+  severity: Severity;
+  code: string;
+  message: string;
+  file: string;
+}
+
+export interface LintReport {
+  profile?: 'cc1.1' | 'cc1.2' | 'cc1.3';
+  valid: boolean;
+  counts: { [severity in Severity]: number };
+  issues: LintIssue[];
+}
+
+/** Checks a packaged cartridge for problems an LMS would reject or silently mishandle on import */
+export function lintCartridge(
+  pathOrBuffer: string | Buffer,
+  options?: { profile?: 'cc1.1' | 'cc1.2' | 'cc1.3'; schemaDir?: string }
+): Promise<LintReport>;
+
+export interface LinkCheckOptions {
+  concurrency?: number;
+  timeout?: number;
+  /** Replacement base URLs keyed by the base URL they replace */
+  rewrite?: { [baseUrl: string]: string };
+  fetch?: typeof fetch;
+}
+
+export interface LinkResult {
+  path: string[];
+  id?: string;
+  kind: 'launch' | 'link' | 'assessment' | 'jwks' | 'oidc';
+  url: string;
+  checkedUrl: string;
+  ok: boolean;
+  status?: number;
+  error?: string;
+}
+
+/** Checks that every URL a course launches or that a platform contacts for it answers */
+export function checkLinks(
+  course: CourseSource,
+  options?: LinkCheckOptions
+): Promise<{ ok: boolean; summary: { urls: number; ok: number; failed: number }; links: LinkResult[] }>;
+
+export type ChangeType =
+  | 'added' | 'removed' | 'moved' | 'retitled' | 'launch-url'
+  | 'assessment-added' | 'assessment-removed' | 'assessment-changed';
+
+export interface Change {
+  type: ChangeType;
+  id: string;
+  path: string[];
+  from?: unknown;
+  to?: unknown;
+  /** The setting that changed, for assessment-changed */
+  field?: keyof AssessmentMetadata | 'assessmentUrl' | 'assessmentTitle';
+}
+
+export interface DiffReport {
+  identical: boolean;
+  summary: { [type in ChangeType]?: number };
+  changes: Change[];
+}
+
+/** Compares two versions of a course: either side may be a packaged cartridge or a course definition */
+export function diffCartridges(a: CourseSource, b: CourseSource): Promise<DiffReport>;
+
+/** Renders a diff report as text, one line per change */
+export function formatDiff(diff: DiffReport): string;
+
+export interface PreviewOptions {
+  outputDir?: string;
+  port?: number;
+  host?: string;
+  locale?: string;
+  build?: GenerationOptions;
+  onBuild?(result: { build: number; error: Error | null }): void;
+}
+
+/** Watches a course file and serves a preview of the cartridge built from it */
+export function startPreview(coursePath: string, options?: PreviewOptions): Promise<{ url: string; rebuild(): Promise<void>; close(): Promise<void> }>;
+
+export class CourseValidationError extends Error {
+  constructor(errors: ValidationError[]);
+  errors: ValidationError[];
+}
+
+export class IdentifierCollisionError extends Error {
+  constructor(identifier: string, description: string);
+  identifier: string;
+}
+
+export class CsvImportError extends Error {
+  constructor(errors: Array<{ row: number; column?: string; message: string }>);
+  errors: Array<{ row: number; column?: string; message: string }>;
+}
+
+export class TemplateError extends Error {
+  constructor(missing: Array<{ name: string; path: string }>);
+  missing: Array<{ name: string; path: string }>;
+}
@@ -0,0 +1,43 @@
+// Public API of the package: what require('ims-cartridge-generator') returns
+const {
+  buildCartridge,
+  generateManifest,
+  createCartridgePackage,
+  parseCartridge,
+  validateCourse,
+  CourseValidationError,
+  IdentifierCollisionError
+} = require('./cartridgeGenerator');
+const { CourseBuilder, ItemsBuilder } = require('./courseBuilder');
+const { loadCourseFile, loadVariableSets } = require('./courseLoader');
+const { importCourseCsv, CsvImportError } = require('./csvImporter');
+const { applyTemplate, TemplateError } = require('./courseTemplate');
+const { buildBatch } = require('./batchBuilder');
+const { lintCartridge } = require('./cartridgeLinter');
+const { checkLinks } = require('./linkChecker');
+const { diffCartridges, formatDiff } = require('./cartridgeDiff');
+const { startPreview } = require('./previewServer');
+
+module.exports = {
+  buildCartridge,
+  generateManifest,
+  createCartridgePackage,
+  parseCartridge,
+  validateCourse,
+  CourseBuilder,
+  ItemsBuilder,
+  loadCourseFile,
+  importCourseCsv,
+  applyTemplate,
+  loadVariableSets,
+  buildBatch,
+  lintCartridge,
+  checkLinks,
+  diffCartridges,
+  formatDiff,
+  startPreview,
+  CourseValidationError,
+  IdentifierCollisionError,
+  CsvImportError,
+  TemplateError
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { buildCartridge, createCartridgePackage } = require('./cartridgeGenerator');
+const { applyTemplate } = require('./courseTemplate');
+const { localize } = require('./localization');
+const { getProfile } = require('./profiles');
+const { parseXml, childElements } = require('./xmlReader');
+
+/**
+ * Turns a course title into a file name
+ * @param {string} title - The course title
+ * @returns {string} - Lowercase letters, digits and dashes
+ */
+function slugify(title) {
+  return String(title)
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Counts the links of a built cartridge: its LTI (content and assessment) and web link
+ * resources, leaving out HTML pages and platform course files
+ * @param {string} manifestXml - Content of imsmanifest.xml
+ * @param {string} profileName - Profile the cartridge was built with
+ * @returns {number} - The number of link resources
+ */
+function countLinks(manifestXml, profileName) {
+  const { resourceTypes } = getProfile(profileName);
+  const [manifest] = childElements(parseXml(manifestXml), 'manifest');
+  const [resources] = childElements(manifest, 'resources');
+  return childElements(resources, 'resource')
+    .filter(resource => [resourceTypes.basicLti, resourceTypes.webLink].includes(resource.attributes.type))
+    .length;
+}
+
+/**
+ * Builds one cartridge per variable set from a shared course template. Each package is
+ * named after the set's `name` variable, falling back to the course title; a course that
+ * fails is recorded in the report and does not stop the rest of the batch.
+ * @param {Object} template - Course JSON containing {{name}} placeholders
+ * @param {Array<Object>} variableSets - One set of template variables per course
+ * @param {Object} options - Batch options
+ * @param {string} options.outputDir - Folder the .imscc packages are written to
+ * @param {string} options.profile - Cartridge profile passed to buildCartridge
+ * @param {Array<string>} options.platforms - LMS platforms passed to buildCartridge
+ * @param {boolean} options.deepLinking - Deep linking default passed to buildCartridge
+ * @param {string} options.locale - Title language passed to buildCartridge, also used for the report
+ * @returns {Promise<Object>} - Report of { built, failed, courses }, where each course is
+ *   { name, title, output, links, bytes } or { name, title, error }
+ */
+async function buildBatch(template, variableSets, options = {}) {
+  const outputDir = options.outputDir || 'output';
+  const usedNames = new Set();
+  const courses = [];
+
+  for (const [index, variables] of variableSets.entries()) {
+    const fallbackName = `course-${index + 1}`;
+    const entry = {
+      name: slugify(variables.name || '') || fallbackName,
+      title: undefined
+    };
+
+    try {
+      const courseData = applyTemplate(template, variables);
+      entry.title = localize(courseData.title, options.locale, courseData.language);
+      entry.name = slugify(variables.name || entry.title) || fallbackName;
+
+      // Two sets resolving to the same name would overwrite each other's package
+      if (usedNames.has(entry.name)) {
+        throw new Error(`Another course in the batch is already named "${entry.name}"`);
+      }
+      usedNames.add(entry.name);
+
+      const cartridge = buildCartridge(courseData, {
+        profile: options.profile,
+        platforms: options.platforms,
+        deepLinking: options.deepLinking,
+        locale: options.locale
+      });
+      const outputBase = path.join(outputDir, entry.name);
+      // The batch report replaces the per-package summary lines
+      await createCartridgePackage(cartridge, outputBase, { quiet: true });
+
+      entry.output = `${outputBase}.imscc`;
+      entry.links = countLinks(cartridge.manifest, options.profile);
+      entry.bytes = (await fs.promises.stat(entry.output)).size;
+    } catch (err) {
+      entry.error = err.message;
+    }
+
+    courses.push(entry);
+  }
+
+  return {
+    built: courses.filter(course => !course.error).length,
+    failed: courses.filter(course => course.error).length,
+    courses
+  };
+}
+
+module.exports = {
+  buildBatch
+};
@@ -0,0 +1,277 @@
+const { buildCartridge, parseCartridge, itemType } = require('./cartridgeGenerator');
+const { loadCourseSource } = require('./courseLoader');
+const { localize } = require('./localization');
+
+// Assessment settings compared between versions, in report order
+const ASSESSMENT_FIELDS = ['assessmentUrl', 'assessmentTitle'];
+const ASSESSMENT_METADATA_FIELDS = [
+  'type', 'points', 'passingScore', 'timeLimit', 'attempts', 'proctored',
+  'gradingType', 'assignmentGroup', 'dueAt', 'unlockAt', 'lockAt'
+];
+
+/**
+ * Reads one side of a comparison as course data with the identifiers a build assigns
+ * @param {string|Buffer|Object} source - A .imscc path or Buffer, a course file path, or course data
+ * @returns {Promise<Object>} - The course as parseCartridge returns it
+ */
+async function loadSide(source) {
+  const { courseData, packaged } = await loadCourseSource(source);
+  if (packaged) {
+    return courseData;
+  }
+
+  // Course data goes through a build so defaults and identifiers match a packaged cartridge
+  return parseCartridge(await buildCartridge(courseData).toBuffer());
+}
+
+/**
+ * Tells whether two values differ, comparing language maps by content
+ * @param {*} a - One title or setting
+ * @param {*} b - The other title or setting
+ * @returns {boolean} - True when the value or any translation differs
+ */
+function valuesDiffer(a, b) {
+  return JSON.stringify(a) !== JSON.stringify(b);
+}
+
+/**
+ * Lists every item of a course in tree order
+ * @param {Array<Object>} items - Top-level items
+ * @param {string} language - Course language, for the title paths of multilingual items
+ * @returns {Array<Object>} - Entries of { item, parent, path } where parent is the parent's entry
+ */
+function flattenItems(items, language) {
+  const entries = [];
+
+  function walk(children, parent) {
+    children.forEach(item => {
+      const entry = { item, parent, path: [...(parent ? parent.path : []), localize(item.title, language)] };
+      entries.push(entry);
+      if (item.children) {
+        walk(item.children, entry);
+      }
+    });
+  }
+  walk(items, null);
+
+  return entries;
+}
+
+/**
+ * Pairs up the items of two versions of a course. Items are matched by identifier
+ * first; identifiers derived from the title path change when an item is renamed or
+ * moved, so the rest are matched by launch URL, folders by the items they hold, and then
+ * anything left by title where that is unambiguous.
+ * @param {Array<Object>} before - Entries of the old version
+ * @param {Array<Object>} after - Entries of the new version
+ * @returns {Map} - Old entry to new entry
+ */
+function matchEntries(before, after) {
+  const matches = new Map();
+  const matched = new Set();
+
+  const afterById = new Map(after.map(entry => [entry.item.id, entry]));
+  before.forEach(entry => {
+    const counterpart = afterById.get(entry.item.id);
+    if (entry.item.id && counterpart) {
+      matches.set(entry, counterpart);
+      matched.add(counterpart);
+    }
+  });
+
+  // Match remaining entries that share a key no other remaining entry has
+  function matchBy(key) {
+    const group = entries => entries.reduce((groups, entry) => {
+      const value = key(entry);
+      if (value !== undefined) {
+        groups.set(value, [...(groups.get(value) || []), entry]);
+      }
+      return groups;
+    }, new Map());
+
+    const beforeGroups = group(before.filter(entry => !matches.has(entry)));
+    const afterGroups = group(after.filter(entry => !matched.has(entry)));
+    beforeGroups.forEach((entries, value) => {
+      const counterparts = afterGroups.get(value) || [];
+      if (entries.length === 1 && counterparts.length === 1) {
+        matches.set(entries[0], counterparts[0]);
+        matched.add(counterparts[0]);
+      }
+    });
+  }
+
+  matchBy(entry => entry.item.launchUrl || entry.item.url);
+
+  // A renamed item still holds the same children; deepest first so nested renames resolve
+  [...before].reverse()
+    .filter(entry => entry.item.children && !matches.has(entry))
+    .forEach(entry => {
+      const children = before.filter(child => child.parent === entry && matches.has(child));
+      const counts = children.reduce((result, child) => {
+        const { parent } = matches.get(child);
+        return result.set(parent, (result.get(parent) || 0) + 1);
+      }, new Map());
+
+      // The new folder holding most of the old folder's items, if it holds at least half
+      const [parent, count] = [...counts].sort((x, y) => y[1] - x[1])[0] || [];
+      if (parent && count * 2 >= children.length && !matched.has(parent)) {
+        matches.set(entry, parent);
+        matched.add(parent);
+      }
+    });
+
+  matchBy(entry => `${itemType(entry.item)}:${JSON.stringify(entry.item.title)}`);
+
+  return matches;
+}
+
+/**
+ * Compares the assessment settings of a matched item
+ * @param {Object} before - The old item
+ * @param {Object} after - The new item
+ * @returns {Array<Object>} - Changed settings as { field, from, to }
+ */
+function assessmentChanges(before, after) {
+  const beforeMetadata = before.assessmentMetadata || {};
+  const afterMetadata = after.assessmentMetadata || {};
+
+  return [
+    ...ASSESSMENT_FIELDS.map(field => ({ field, from: before[field], to: after[field] })),
+    ...ASSESSMENT_METADATA_FIELDS.map(field => ({ field, from: beforeMetadata[field], to: afterMetadata[field] }))
+  ].filter(({ from, to }) => valuesDiffer(from, to));
+}
+
+/**
+ * Compares two versions of a course at the level of the organization tree and its
+ * links: added, removed, moved and retitled items, changed launch URLs and changed
+ * assessment settings. Either side may be a packaged cartridge or a course definition.
+ * @param {string|Buffer|Object} a - The old version: .imscc path or Buffer, course file path, or course data
+ * @param {string|Buffer|Object} b - The new version, in any of the same forms
+ * @returns {Promise<Object>} - { identical, summary, changes }; each change has a `type`
+ *   (added, removed, moved, retitled, launch-url, assessment-added, assessment-removed,
+ *   assessment-changed), the item `id` and title `path`, and `from` / `to` values
+ */
+async function diffCartridges(a, b) {
+  const [before, after] = await Promise.all([loadSide(a), loadSide(b)]);
+  const beforeEntries = flattenItems(before.modules, before.language);
+  const afterEntries = flattenItems(after.modules, after.language);
+  const matches = matchEntries(beforeEntries, afterEntries);
+  const matchedAfter = new Map([...matches].map(([entry, counterpart]) => [counterpart, entry]));
+
+  const changes = [];
+  const change = (type, entry, details = {}) => changes.push({ type, id: entry.item.id, path: entry.path, ...details });
+
+  if (valuesDiffer(before.title, after.title)) {
+    changes.push({ type: 'retitled', id: after.id, path: [], from: before.title, to: after.title });
+  }
+
+  afterEntries.forEach(entry => {
+    const previous = matchedAfter.get(entry);
+    if (!previous) {
+      change('added', entry);
+      return;
+    }
+
+    const { item } = entry;
+    const { item: previousItem } = previous;
+
+    // An item moved when its parent is not the counterpart of its old parent
+    const previousParent = previous.parent ? matches.get(previous.parent) : null;
+    if (previousParent !== entry.parent) {
+      change('moved', entry, {
+        from: previous.parent ? previous.parent.path : [],
+        to: entry.parent ? entry.parent.path : []
+      });
+    }
+    if (valuesDiffer(previousItem.title, item.title)) {
+      change('retitled', entry, { from: previousItem.title, to: item.title });
+    }
+    // Web links count as launch URLs too
+    const previousUrl = previousItem.launchUrl || previousItem.url;
+    const url = item.launchUrl || item.url;
+    if (previousUrl !== url) {
+      change('launch-url', entry, { from: previousUrl, to: url });
+    }
+
+    if (!previousItem.assessmentUrl && item.assessmentUrl) {
+      change('assessment-added', entry, { to: item.assessmentTitle });
+    } else if (previousItem.assessmentUrl && !item.assessmentUrl) {
+      change('assessment-removed', entry, { from: previousItem.assessmentTitle });
+    } else if (item.assessmentUrl || item.type === 'assessment') {
+      assessmentChanges(previousItem, item).forEach(({ field, from, to }) => {
+        change('assessment-changed', entry, { field, from, to });
+      });
+    }
+  });
+
+  beforeEntries
+    .filter(entry => !matches.has(entry))
+    .forEach(entry => change('removed', entry));
+
+  const summary = changes.reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {});
+
+  return {
+    identical: changes.length === 0,
+    summary,
+    changes
+  };
+}
+
+/**
+ * Formats a value for the text report
+ * @param {*} value - A title, URL, path or setting
+ * @returns {string} - The value, "(none)" when unset
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return '(none)';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(' > ') : '(top level)';
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).map(language => `${language}: ${value[language]}`).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Renders a diff report as text, one line per change
+ * @param {Object} diff - Report from diffCartridges
+ * @returns {string} - Human-readable report
+ */
+function formatDiff(diff) {
+  if (diff.identical) {
+    return 'No changes';
+  }
+
+  const lines = diff.changes.map(({ type, path: titlePath, field, from, to }) => {
+    const where = titlePath.length > 0 ? titlePath.join(' > ') : '(course)';
+    switch (type) {
+      case 'added':
+        return `+ added       ${where}`;
+      case 'removed':
+        return `- removed     ${where}`;
+      case 'moved':
+        return `~ moved       ${where}: from ${formatValue(from)} to ${formatValue(to)}`;
+      case 'assessment-added':
+        return `+ assessment  ${where}: ${formatValue(to)}`;
+      case 'assessment-removed':
+        return `- assessment  ${where}: ${formatValue(from)}`;
+      case 'assessment-changed':
+        return `~ assessment  ${where}: ${field} ${formatValue(from)} -> ${formatValue(to)}`;
+      case 'launch-url':
+        return `~ launch URL  ${where}: ${formatValue(from)} -> ${formatValue(to)}`;
+      default:
+        return `~ ${type.padEnd(11)} ${where}: ${formatValue(from)} -> ${formatValue(to)}`;
+    }
+  });
+
+  const counts = Object.keys(diff.summary).map(type => `${diff.summary[type]} ${type}`);
+  return [...lines, '', counts.join(', ')].join('\n');
+}
+
+module.exports = {
+  diffCartridges,
+  formatDiff
+};
@@ -1,29 +1,45 @@
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
-
-// Counter for generating sequential IDs
-let idCounter = 100;
+const AdmZip = require('adm-zip');
+const { validateCourse, CourseValidationError } = require('./courseValidator');
+const { element, textElement, toXml } = require('./xmlBuilder');
+const { parseXml, childElements, textContent } = require('./xmlReader');
+const { getProfile } = require('./profiles');
+const { createIdGenerator, hashId, IdentifierCollisionError } = require('./identifiers');
+const { toolBlocks, resolveTool, reconstructTools } = require('./toolConfig');
+const { getPlatformAdapters, parsePlatformExtensions } = require('./platforms');
+const { resolveAssessmentDates } = require('./gradebook');
+const { DEFAULT_LANGUAGE, localize, translations } = require('./localization');
+const { createReporter } = require('./generationReporter');
+const { lomStrings, lomKeywords, lomSections, parseLomString, parseLomMetadata } = require('./lomMetadata');
 
 /**
- * Generates a unique identifier with the specified prefix and optional suffix
- * @param {string} prefix - Prefix for the identifier
- * @param {string} suffix - Optional suffix for the identifier
- * @returns {string} - The generated identifier
+ * Creates a zip archive stream of in-memory cartridge files
+ * @param {Object} files - File contents keyed by path inside the package
+ * @returns {Object} - The finalized archiver stream
  */
-function generateId(prefix = 'I_', suffix = '') {
-  // Get the next ID and increment the counter
-  const nextId = idCounter++;
-  return `${prefix}${nextId}${suffix}`;
+function archiveFiles(files) {
+  const archive = archiver('zip', {
+    zlib: { level: 9 } // Sets the compression level
+  });
+
+  Object.keys(files).forEach(name => {
+    archive.append(files[name], { name });
+  });
+  archive.finalize();
+
+  return archive;
 }
 
 /**
- * Creates a zip file of the cartridge with .imscc extension
- * @param {string} sourcePath - Path to the directory to be zipped
+ * Writes a cartridge to a zip file, reporting progress and warnings on the way
+ * @param {string|Object} source - Path to the directory to be zipped, or a cartridge from buildCartridge
  * @param {string} outputFilename - Path to the output zip file (without extension)
- * @returns {Promise} - Promise that resolves when the zip is complete
+ * @param {Object} reporter - Reporter from createReporter
+ * @returns {Promise<number>} - Resolves to the size of the package in bytes
  */
-function createCartridgePackage(sourcePath, outputFilename) {
+function writePackage(source, outputFilename, reporter) {
   return new Promise((resolve, reject) => {
     // Ensure the output directory exists
     const outputDir = path.dirname(outputFilename);
@@ -33,21 +49,27 @@ function createCartridgePackage(sourcePath, outputFilename) {
 
     // Create a file to stream archive data to
     const output = fs.createWriteStream(`${outputFilename}.imscc`);
-    const archive = archiver('zip', {
-      zlib: { level: 9 } // Sets the compression level
-    });
+    const archive = typeof source === 'string'
+      ? archiver('zip', { zlib: { level: 9 } })
+      : source.toStream();
 
     // Listen for all archive data to be written
     output.on('close', () => {
-      console.log(`Cartridge package created: ${outputFilename}.imscc`);
-      console.log(`Total bytes: ${archive.pointer()}`);
-      resolve();
+      resolve(archive.pointer());
+    });
+
+    archive.on('progress', progress => {
+      reporter.emit('zip-progress', {
+        entries: progress.entries.processed,
+        totalEntries: progress.entries.total,
+        bytes: progress.fs.processedBytes
+      });
     });
 
     // Good practice to catch warnings
     archive.on('warning', (err) => {
       if (err.code === 'ENOENT') {
-        console.warn(err);
+        reporter.warn(err.message, err);
       } else {
         reject(err);
       }
@@ -61,288 +83,547 @@ function createCartridgePackage(sourcePath, outputFilename) {
     // Pipe archive data to the file
     archive.pipe(output);
 
-    // Append files from a directory
-    archive.directory(sourcePath, false);
+    // Append files from a directory; in-memory cartridges are already finalized
+    if (typeof source === 'string') {
+      archive.directory(source, false);
+      archive.finalize();
+    }
+  });
+}
+
+/**
+ * Logs the summary lines of a written package
+ * @param {Object} reporter - Reporter from createReporter
+ * @param {string} packagePath - Path of the .imscc file
+ * @param {number} bytes - Size of the package
+ */
+function reportPackage(reporter, packagePath, bytes) {
+  reporter.info(`Cartridge package created: ${packagePath}`);
+  reporter.info(`Total bytes: ${bytes}`);
+}
+
+/**
+ * Creates a zip file of the cartridge with .imscc extension
+ * @param {string|Object} source - Path to the directory to be zipped, or a cartridge from buildCartridge
+ * @param {string} outputFilename - Path to the output zip file (without extension)
+ * @param {Object} options - Packaging options
+ * @param {EventEmitter} options.events - Receives zip-progress, warning and done events
+ * @param {Object} options.logger - Object with info(message) and warn(message) methods (default: the console)
+ * @param {boolean} options.quiet - Skip the summary lines logged when the package is written
+ * @returns {Promise} - Promise that resolves when the zip is complete
+ */
+function createCartridgePackage(source, outputFilename, options = {}) {
+  const reporter = createReporter(options);
+  const packagePath = `${outputFilename}.imscc`;
 
-    // Finalize the archive (i.e., we are done appending files)
-    archive.finalize();
+  return writePackage(source, outputFilename, reporter).then(bytes => {
+    reportPackage(reporter, packagePath, bytes);
+    reporter.emit('done', { package: packagePath, bytes });
   });
 }
 
 /**
- * Generates the IMS manifest XML from a JSON structure
+ * Builds the child elements of an LTI link file in schema order
+ * @param {string} launchUrl - The tool launch URL
+ * @param {string} title - Link title
+ * @param {string} description - Link description
+ * @param {Object} tool - Tool configuration from resolveTool
+ * @param {Array<Object>} extensions - Optional blti:extensions elements
+ * @returns {Array<Object>} - The link elements, ending with the bundle and icon references
+ */
+function ltiLinkElements(launchUrl, title, description, tool, extensions = []) {
+  const { vendor, custom } = tool;
+  const customNames = Object.keys(custom);
+
+  return [
+    textElement('blti:title', title),
+    textElement('blti:description', description),
+    customNames.length > 0 && element('blti:custom', {}, customNames.map(name =>
+      textElement('lticm:property', custom[name], { name })
+    )),
+    ...extensions,
+    textElement('blti:launch_url', launchUrl),
+    textElement('blti:secure_launch_url', launchUrl.replace('http://', 'https://')),
+    tool.iconUrl && textElement('blti:icon', tool.iconUrl),
+    element('blti:vendor', {}, [
+      textElement('lticp:code', vendor.code),
+      textElement('lticp:name', vendor.name),
+      vendor.description && textElement('lticp:description', vendor.description),
+      vendor.url && textElement('lticp:url', vendor.url),
+      vendor.contact && element('lticp:contact', {}, [
+        textElement('lticp:email', vendor.contact)
+      ])
+    ]),
+    element('cartridge_bundle', { identifierref: 'BLTI001_Bundle' }),
+    element('cartridge_icon', { identifierref: 'BLTI001_Icon' })
+  ];
+}
+
+/**
+ * Builds a blti:extensions element for each platform adapter that has properties for a link
+ * @param {Array<Object>} platforms - Platform adapters from getPlatformAdapters
+ * @param {Object} link - The link passed to each adapter ({ launchUrl, title, isAssessment, metadata, tool })
+ * @returns {Array<Object>} - The extension elements
+ */
+function platformExtensions(platforms, link) {
+  // Adapters describe properties as data; groups become nested property elements
+  const propertyElement = ({ name, value, properties }) => (properties
+    ? element('lticm:property', { name }, properties.map(propertyElement))
+    : textElement('lticm:property', value, { name }));
+
+  return platforms
+    .map(adapter => ({ adapter, properties: adapter.properties(link) }))
+    .filter(({ properties }) => properties.length > 0)
+    .map(({ adapter, properties }) =>
+      element('blti:extensions', { platform: adapter.platform }, properties.map(propertyElement))
+    );
+}
+
+/**
+ * Generates basiclti.xml content (LTI 1.0/1.1)
+ * @param {string} launchUrl - The tool launch URL
+ * @param {string} title - Link title
+ * @param {Object} options - Link options
+ * @param {Object} options.profile - Output profile from getProfile
+ * @param {Object} options.tool - Tool configuration from resolveTool
+ * @param {Array<Object>} options.platforms - Platform adapters from getPlatformAdapters
+ * @returns {string} - The link file XML
+ */
+function generateBasicLtiXml(launchUrl, title, {
+  profile = getProfile(),
+  tool = resolveTool(launchUrl),
+  platforms = getPlatformAdapters()
+} = {}) {
+  const extensions = platformExtensions(platforms, { launchUrl, title, isAssessment: false, metadata: {}, tool });
+
+  return toXml(element('cartridge_basiclti_link', profile.ltiNamespaces,
+    ltiLinkElements(launchUrl, title || 'External Tool', 'Basic LTI Launch', tool, extensions)
+  ));
+}
+
+/**
+ * Generates LTI Advantage XML content (LTI 1.3) for an assessment
+ * @param {string} launchUrl - The tool launch URL
+ * @param {string} title - Assessment title
+ * @param {Object} metadata - Assessment metadata from the course JSON
+ * @param {Object} options - Link options
+ * @param {Object} options.profile - Output profile from getProfile
+ * @param {Object} options.tool - Tool configuration from resolveTool
+ * @param {Array<Object>} options.platforms - Platform adapters from getPlatformAdapters
+ * @returns {string} - The link file XML
+ */
+function generateLtiAdvantageXml(launchUrl, title, metadata = {}, {
+  profile = getProfile(),
+  tool = resolveTool(launchUrl),
+  platforms = getPlatformAdapters()
+} = {}) {
+  const extensions = platformExtensions(platforms, { launchUrl, title, isAssessment: true, metadata, tool });
+
+  return toXml(element('cartridge_basiclti_link', profile.ltiNamespaces,
+    ltiLinkElements(launchUrl, title || 'Assessment', 'Assessment Launch via LTI Advantage', tool, extensions)
+  ));
+}
+
+/**
+ * Generates a web link file (imswl) for a plain link to a web page
+ * @param {string} url - The page the link opens
+ * @param {string} title - Link title
+ * @param {Object} options - Link options
+ * @param {Object} options.profile - Output profile from getProfile
+ * @returns {string} - The web link file XML
+ */
+function generateWebLinkXml(url, title, { profile = getProfile() } = {}) {
+  return toXml(element('webLink', profile.webLinkNamespaces, [
+    textElement('title', title || url),
+    element('url', { href: url, target: '_blank' })
+  ]));
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} text - Plain text
+ * @returns {string} - The text with markup characters escaped
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generates a standalone HTML page for an html item
+ * @param {string} title - Page title
+ * @param {string} body - HTML for the page body, used as is
+ * @returns {string} - The complete HTML document
+ */
+function generateHtmlPage(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Works out what kind of item a course JSON item is
+ * @param {Object} item - Item from the course JSON
+ * @returns {string} - Its type, or when unset: lti with a launchUrl, weblink with a url,
+ *   html with html, otherwise folder
+ */
+function itemType(item) {
+  if (item.type) {
+    return item.type;
+  }
+  if (item.launchUrl) {
+    return 'lti';
+  }
+  if (item.url) {
+    return 'weblink';
+  }
+  return item.html !== undefined ? 'html' : 'folder';
+}
+
+/**
+ * Builds a complete cartridge in memory from a JSON structure, without touching the filesystem
  * @param {Object} courseData - Course structure in JSON format
- * @param {string} outputPath - Path to write the output file
- * @param {boolean} createPackage - Whether to create a zip package
- * @returns {Promise<string>} - The generated XML content
+ * @param {Object} options - Generation options
+ * @param {string} options.profile - Common Cartridge profile: "cc1.1" (default), "cc1.2" or "cc1.3"
+ * @param {Array<string>} options.platforms - LMS platforms to emit extensions for (default ['canvas'])
+ * @param {boolean} options.deepLinking - Default for tool.deepLinking: give every link its own
+ *   launch URL as the LTI 1.3 target_link_uri, as a Deep Linking response would
+ * @param {string} options.locale - Language of the titles shown in the organization tree for
+ *   titles given as language maps (default: the course language)
+ * @param {EventEmitter} options.events - Receives an item-generated event with { id, type,
+ *   title, path } for each organization item, in tree order
+ * @returns {Object} - { manifest, files, toBuffer(), toStream() } where files maps each path in
+ *   the package to its content, toBuffer() resolves to the .imscc zip and toStream() returns it
+ *   as a readable stream; throws a CourseValidationError if the course is invalid
  */
-function generateManifest(courseData, outputPath, createPackage = true) {
-  // Reset ID counter for each manifest generation
-  idCounter = 100;
-  
-  const manifestId = generateId('M_', '');
-  const organizationId = generateId('O_', '');
-  
+function buildCartridge(courseData, options = {}) {
+  const profile = getProfile(options.profile);
+  const platforms = getPlatformAdapters(options.platforms);
+  const reporter = createReporter(options);
+
+  const validationErrors = validateCourse(courseData);
+  if (validationErrors.length > 0) {
+    throw new CourseValidationError(validationErrors);
+  }
+
+  // Titles in the course language key the identifiers, so the locale only changes what is shown
+  const language = courseData.language || DEFAULT_LANGUAGE;
+  const keyText = value => localize(value, language);
+  const displayText = value => localize(value, options.locale, language);
+
+  // Identifiers are derived from content, so only this run's bookkeeping is needed
+  const ids = createIdGenerator();
+  const manifestId = courseData.id || hashId('M_', [keyText(courseData.title)]);
+  const organizationId = hashId('O_', [manifestId]);
+
   // Track all resources to generate the resources section
   const resources = [];
-  
-  // Generate the items structure recursively
-  function generateItems(items, parentId = 'root') {
-    let itemsXml = '';
-    
+
+  const courseTools = [
+    options.deepLinking !== undefined && { deepLinking: options.deepLinking },
+    ...toolBlocks(courseData)
+  ];
+
+  // Tool configuration for one link, passing its identifier in the linkIdParameter if set
+  function linkTool(launchUrl, identifier, tools) {
+    const tool = resolveTool(launchUrl, ...tools);
+    if (!tool.linkIdParameter) {
+      return tool;
+    }
+    return { ...tool, custom: { ...tool.custom, [tool.linkIdParameter]: identifier } };
+  }
+
+  // Record the resources of an item and return the organization items pointing to them
+  function generateResourceItems(item, type, titlePath, itemId, tools) {
+    const resourceId = ids.resourceId(itemId);
+    const resource = {
+      id: resourceId,
+      folderName: itemId.toLowerCase(),
+      type,
+      title: displayText(item.title)
+    };
+
+    if (type === 'weblink') {
+      resource.url = item.url;
+    } else if (type === 'html') {
+      resource.html = item.html;
+    } else {
+      resource.launchUrl = item.launchUrl;
+      resource.tool = linkTool(item.launchUrl, itemId, tools);
+      if (type === 'assessment') {
+        resource.metadata = resolveAssessmentDates(item.assessmentMetadata, courseData);
+      }
+    }
+    if (item.metadata || typeof item.title === 'object') {
+      resource.lom = { title: item.title, metadata: item.metadata };
+    }
+    resources.push(resource);
+    reporter.emit('item-generated', { id: itemId, type, title: resource.title, path: titlePath });
+
+    const itemElements = [
+      element('item', { identifier: itemId, identifierref: resourceId }, [
+        textElement('title', resource.title)
+      ])
+    ];
+
+    // An LTI item's paired assessment gets a separate item right after it
+    if (type === 'lti' && item.assessmentUrl) {
+      // The assessment is keyed by its content item, so retitling it keeps the ID
+      const assessmentItemId = ids.itemId([...titlePath, '#assessment'], item.assessmentId);
+      const assessmentResourceId = ids.resourceId(assessmentItemId);
+
+      // Get the assessment title
+      const assessmentTitle = displayText(item.assessmentTitle) ||
+                            `${resource.title} ${item.assessmentMetadata?.type === 'exam' ? 'Exam' : 'Quiz'}`;
+
+      resources.push({
+        id: assessmentResourceId,
+        folderName: assessmentItemId.toLowerCase(),
+        type: 'assessment',
+        launchUrl: item.assessmentUrl,
+        title: assessmentTitle,
+        metadata: resolveAssessmentDates(item.assessmentMetadata, courseData),
+        tool: linkTool(item.assessmentUrl, assessmentItemId, tools),
+        // Only translated titles need a LOM block; the item's metadata describes its content link
+        lom: typeof item.assessmentTitle === 'object' ? { title: item.assessmentTitle } : undefined
+      });
+      reporter.emit('item-generated', {
+        id: assessmentItemId,
+        type: 'assessment',
+        title: assessmentTitle,
+        path: [...titlePath, '#assessment']
+      });
+
+      itemElements.push(element('item', { identifier: assessmentItemId, identifierref: assessmentResourceId }, [
+        textElement('title', assessmentTitle)
+      ]));
+    }
+
+    return itemElements;
+  }
+
+  // Generate the item elements recursively; tool settings are inherited down the tree
+  function generateItems(items, parentPath = [], parentTools = courseTools) {
+    const itemElements = [];
+
     items.forEach(item => {
-      // First, handle the content item
-      if (item.launchUrl) {
-        // Generate ID for the content item
-        const itemId = generateId();
-        const contentResourceId = `${itemId}_R`;
-        // Extract the numeric part from the itemId to use in folder name
-        const idNumber = itemId.replace('I_', '');
-        const contentFolderName = `i_${idNumber}`.toLowerCase();
-        
-        // Add to resources list for content
-        resources.push({
-          id: contentResourceId,
-          folderName: contentFolderName,
-          launchUrl: item.launchUrl,
-          title: item.title,
-          isAssessment: false
-        });
-        
-        // Create the content resource item
-        itemsXml += `
-        <item identifier="${itemId}" identifierref="${contentResourceId}">
-          <title>${item.title}</title>
-        </item>`;
-        
-        // Now, create a separate item for assessment if it exists
-        if (item.assessmentUrl) {
-          // Generate a new ID for the assessment item
-          const assessmentItemId = generateId();
-          const assessmentResourceId = `${assessmentItemId}_R`;
-          const assessmentIdNumber = assessmentItemId.replace('I_', '');
-          const assessmentFolderName = `i_${assessmentIdNumber}`.toLowerCase();
-          
-          // Get the assessment title
-          const assessmentTitle = item.assessmentTitle || 
-                                `${item.title} ${item.assessmentMetadata?.type === 'exam' ? 'Exam' : 'Quiz'}`;
-          
-          // Add to resources list for assessment
-          resources.push({
-            id: assessmentResourceId,
-            folderName: assessmentFolderName,
-            launchUrl: item.assessmentUrl,
-            title: assessmentTitle,
-            isAssessment: true,
-            metadata: item.assessmentMetadata || {}
-          });
-          
-          // Create the assessment item immediately after the content item
-          itemsXml += `
-        <item identifier="${assessmentItemId}" identifierref="${assessmentResourceId}">
-          <title>${assessmentTitle}</title>
-        </item>`;
-        }
-      } else {
-        // This is a container item with children
-        const itemId = generateId();
-        const childrenXml = item.children ? generateItems(item.children) : '';
-        
-        itemsXml += `
-        <item identifier="${itemId}">
-          <title>${item.title}</title>${childrenXml}
-        </item>`;
+      const titlePath = [...parentPath, keyText(item.title)];
+      const type = itemType(item);
+      const children = item.children || [];
+      const tools = [...parentTools, ...toolBlocks(item)];
+
+      if (type === 'folder') {
+        const itemId = ids.itemId(titlePath, item.id);
+        reporter.emit('item-generated', { id: itemId, type, title: displayText(item.title), path: titlePath });
+        itemElements.push(element('item', { identifier: itemId }, [
+          textElement('title', displayText(item.title)),
+          ...generateItems(children, titlePath, tools)
+        ]));
+        return;
       }
+
+      if (children.length === 0) {
+        itemElements.push(...generateResourceItems(item, type, titlePath, ids.itemId(titlePath, item.id), tools));
+        return;
+      }
+
+      // Items referencing a resource cannot hold other items, so an item with children
+      // becomes a folder whose first entry is the item's own link
+      const folderId = ids.itemId(titlePath, item.id);
+      const linkId = ids.itemId([...titlePath, '#launch']);
+      reporter.emit('item-generated', { id: folderId, type: 'folder', title: displayText(item.title), path: titlePath });
+      itemElements.push(element('item', { identifier: folderId }, [
+        textElement('title', displayText(item.title)),
+        ...generateResourceItems(item, type, titlePath, linkId, tools),
+        ...generateItems(children, titlePath, tools)
+      ]));
     });
-    
-    return itemsXml;
+
+    return itemElements;
   }
-  
-  // Generate the resources XML
-  function generateResourcesXml() {
-    let resourcesXml = '';
-    
-    resources.forEach(resource => {
-      // For content resources (basic LTI)
-      if (!resource.isAssessment) {
-        resourcesXml += `
-          <resource identifier="${resource.id}" type="imsbasiclti_xmlv1p0">
-              <file href="${resource.folderName}/basiclti.xml"/>
-          </resource>`;
-        
-        // Create the folder and basic LTI XML file
-        if (outputPath) {
-          const folderPath = path.join(path.dirname(outputPath), resource.folderName);
-          if (!fs.existsSync(folderPath)) {
-            fs.mkdirSync(folderPath, { recursive: true });
-          }
-          
-          // Generate the basiclti.xml content for regular content
-          const basicLtiXml = generateBasicLtiXml(resource.launchUrl, resource.title);
-          fs.writeFileSync(path.join(folderPath, 'basiclti.xml'), basicLtiXml);
-        }
-      } 
-      // For assessment resources (LTI Advantage)
-      else {
-        resourcesXml += `
-          <resource identifier="${resource.id}" type="imsbasiclti_xmlv1p0">
-              <file href="${resource.folderName}/lti_advantage.xml"/>
-          </resource>`;
-        
-        // Create the folder and LTI Advantage XML file
-        if (outputPath) {
-          const folderPath = path.join(path.dirname(outputPath), resource.folderName);
-          if (!fs.existsSync(folderPath)) {
-            fs.mkdirSync(folderPath, { recursive: true });
-          }
-          
-          // Generate the LTI Advantage XML content for assessments
-          const ltiAdvantageXml = generateLtiAdvantageXml(
-            resource.launchUrl, 
-            resource.title, 
-            resource.metadata
-          );
-          fs.writeFileSync(path.join(folderPath, 'lti_advantage.xml'), ltiAdvantageXml);
-        }
+
+  // Link files and pages keyed by their path in the package
+  const resourceFiles = {};
+
+  // Resource-level LOM with every translation of the title and the item's metadata section
+  function resourceMetadata(resource) {
+    if (!resource.lom) {
+      return null;
+    }
+
+    const { title, metadata } = resource.lom;
+    return element('metadata', {}, [
+      element('lom:lom', { 'xmlns:lom': profile.lomResourceNamespace }, [
+        element('lom:general', {}, [
+          element('lom:title', {}, lomStrings('lom', title, language)),
+          ...lomKeywords('lom', metadata, language)
+        ]),
+        ...lomSections('lom', metadata, language)
+      ])
+    ]);
+  }
+
+  // Generate the resource elements and the file each one points to
+  function generateResources() {
+    return resources.map(resource => {
+      const linkOptions = { profile, tool: resource.tool, platforms };
+      let href;
+
+      switch (resource.type) {
+        case 'weblink':
+          href = `${resource.folderName}/weblink.xml`;
+          resourceFiles[href] = generateWebLinkXml(resource.url, resource.title, linkOptions);
+          return element('resource', { identifier: resource.id, type: profile.resourceTypes.webLink }, [
+            resourceMetadata(resource),
+            element('file', { href })
+          ]);
+        case 'html':
+          // Web content is launched from its href, unlike link files
+          href = `${resource.folderName}/index.html`;
+          resourceFiles[href] = generateHtmlPage(resource.title, resource.html);
+          return element('resource', { identifier: resource.id, type: profile.resourceTypes.webContent, href }, [
+            resourceMetadata(resource),
+            element('file', { href })
+          ]);
+        case 'assessment':
+          // Assessments use LTI Advantage
+          href = `${resource.folderName}/lti_advantage.xml`;
+          resourceFiles[href] = generateLtiAdvantageXml(resource.launchUrl, resource.title, resource.metadata, linkOptions);
+          break;
+        default:
+          // Content uses basic LTI
+          href = `${resource.folderName}/basiclti.xml`;
+          resourceFiles[href] = generateBasicLtiXml(resource.launchUrl, resource.title, linkOptions);
       }
+
+      return element('resource', { identifier: resource.id, type: profile.resourceTypes.basicLti }, [
+        resourceMetadata(resource),
+        element('file', { href })
+      ]);
     });
-    
-    return resourcesXml;
   }
-  
-  // Generate basiclti.xml content (LTI 1.0/1.1)
-  function generateBasicLtiXml(launchUrl, title) {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<cartridge_basiclti_link xmlns="http://www.imsglobal.org/xsd/imslticc_v1p0"
-    xmlns:blti="http://www.imsglobal.org/xsd/imsbasiclti_v1p0"
-    xmlns:lticm="http://www.imsglobal.org/xsd/imslticm_v1p0"
-    xmlns:lticp="http://www.imsglobal.org/xsd/imslticp_v1p0"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.imsglobal.org/xsd/imslticc_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticc_v1p0.xsd
-    http://www.imsglobal.org/xsd/imsbasiclti_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imsbasiclti_v1p0.xsd
-    http://www.imsglobal.org/xsd/imslticm_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticm_v1p0.xsd
-    http://www.imsglobal.org/xsd/imslticp_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticp_v1p0.xsd">
-    <blti:title>${title || 'External Tool'}</blti:title>
-    <blti:description>Basic LTI Launch</blti:description>
-    <blti:launch_url>${launchUrl}</blti:launch_url>
-    <blti:secure_launch_url>${launchUrl.replace('http://', 'https://')}</blti:secure_launch_url>
-    <blti:vendor>
-        <lticp:code>external_tool</lticp:code>
-        <lticp:name>External Tool Provider</lticp:name>
-    </blti:vendor>
-    <cartridge_bundle identifierref="BLTI001_Bundle"/>
-    <cartridge_icon identifierref="BLTI001_Icon"/>
-</cartridge_basiclti_link>`;
-  }
-  
-  // Generate LTI Advantage XML content (LTI 1.3)
-  function generateLtiAdvantageXml(launchUrl, title, metadata = {}) {
-    // Base XML structure
-    let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<cartridge_basiclti_link xmlns="http://www.imsglobal.org/xsd/imslticc_v1p0"
-    xmlns:blti="http://www.imsglobal.org/xsd/imsbasiclti_v1p0"
-    xmlns:lticm="http://www.imsglobal.org/xsd/imslticm_v1p0"
-    xmlns:lticp="http://www.imsglobal.org/xsd/imslticp_v1p0"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.imsglobal.org/xsd/imslticc_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticc_v1p0.xsd
-    http://www.imsglobal.org/xsd/imsbasiclti_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imsbasiclti_v1p0.xsd
-    http://www.imsglobal.org/xsd/imslticm_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticm_v1p0.xsd
-    http://www.imsglobal.org/xsd/imslticp_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticp_v1p0.xsd">
-    <blti:title>${title || 'Assessment'}</blti:title>
-    <blti:description>Assessment Launch via LTI Advantage</blti:description>
-    <blti:launch_url>${launchUrl}</blti:launch_url>
-    <blti:secure_launch_url>${launchUrl.replace('http://', 'https://')}</blti:secure_launch_url>
-    <blti:vendor>
-        <lticp:code>external_tool</lticp:code>
-        <lticp:name>External Tool Provider</lticp:name>
-    </blti:vendor>
-    <blti:extensions platform="canvas.instructure.com">
-        <lticm:property name="tool_id">lti_advantage_tool</lticm:property>
-        <lticm:property name="privacy_level">public</lticm:property>
-        <lticm:property name="lti_1_3_enabled">true</lticm:property>
-        <lticm:property name="public_jwk_url">${launchUrl.replace(/\/[^\/]*$/, '/jwks')}</lticm:property>
-        <lticm:property name="assignment_enabled">true</lticm:property>
-        <lticm:property name="assignment_points_possible">${metadata.points || 10}</lticm:property>`;
-    
-    // Add specific assessment properties from metadata
-    if (metadata.timeLimit) {
-      xml += `
-        <lticm:property name="time_limit">${metadata.timeLimit}</lticm:property>`;
-    }
-    
-    if (metadata.attempts) {
-      xml += `
-        <lticm:property name="allowed_attempts">${metadata.attempts}</lticm:property>`;
-    }
-    
-    if (metadata.proctored) {
-      xml += `
-        <lticm:property name="proctoring_enabled">true</lticm:property>`;
-    }
-    
-    if (metadata.passingScore) {
-      xml += `
-        <lticm:property name="passing_score">${metadata.passingScore}</lticm:property>`;
-    }
-    
-    // Complete the XML
-    xml += `
-        <lticm:property name="settings">
-            <lticm:property name="oidc_initiation_url">${launchUrl.replace(/\/[^\/]*$/, '/init')}</lticm:property>
-        </lticm:property>
-    </blti:extensions>
-    <cartridge_bundle identifierref="BLTI001_Bundle"/>
-    <cartridge_icon identifierref="BLTI001_Icon"/>
-</cartridge_basiclti_link>`;
-
-    return xml;
+
+  // Platform-specific course files (e.g. Canvas course settings), one resource per platform
+  function generatePlatformResources() {
+    const course = {
+      id: manifestId,
+      title: displayText(courseData.title),
+      startDate: courseData.startDate,
+      assignmentGroups: courseData.assignmentGroups
+    };
+
+    return platforms
+      .filter(adapter => adapter.courseFiles)
+      .map(adapter => {
+        const files = adapter.courseFiles(course);
+        const hrefs = Object.keys(files);
+        if (hrefs.length === 0) {
+          return null;
+        }
+
+        Object.assign(resourceFiles, files);
+        return element('resource', {
+          identifier: hashId('R_', [manifestId, adapter.name]),
+          type: profile.resourceTypes.learningApplication,
+          href: hrefs[0]
+        }, hrefs.map(href => element('file', { href })));
+      });
   }
-  
+
   // Generate the full XML
-  const itemsXml = generateItems(courseData.modules);
-  
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<manifest xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1"
-    xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="${manifestId}" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p1/ccv1p1_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lommanifest_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lomresource_v1p0.xsd">
-    <metadata>
-        <schema>IMS Common Cartridge</schema>
-        <schemaversion>1.1.0</schemaversion>
-        <lomimscc:lom>
-            <lomimscc:general>
-                <lomimscc:title>
-                    <lomimscc:string language="en">${courseData.title}</lomimscc:string>
-                </lomimscc:title>
-                <lomimscc:language>en</lomimscc:language>
-                <lomimscc:description>
-                    <lomimscc:string language="en">${courseData.description || ''}</lomimscc:string>
-                </lomimscc:description>
-                <lomimscc:identifier>
-                    <lomimscc:catalog>category</lomimscc:catalog>
-                    <lomimscc:entry>${courseData.category || 'Hybrid Hosting'}</lomimscc:entry>
-                </lomimscc:identifier>
-            </lomimscc:general>
-        </lomimscc:lom>
-    </metadata>
-    <organizations>
-        <organization identifier="${organizationId}" structure="rooted-hierarchy">
-            <item identifier="root">${itemsXml}
-            </item>
-        </organization>
-    </organizations>
-    <resources>${generateResourcesXml()}
-    </resources>
-</manifest>`;
-
-  // Write the manifest file if an output path is provided
-  if (outputPath) {
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    fs.writeFileSync(outputPath, xml);
+  const itemElements = generateItems(courseData.modules);
+
+  const xml = toXml(element('manifest', {
+    ...profile.manifestNamespaces,
+    identifier: manifestId,
+    'xsi:schemaLocation': profile.manifestSchemaLocation
+  }, [
+    element('metadata', {}, [
+      textElement('schema', 'IMS Common Cartridge'),
+      textElement('schemaversion', profile.schemaVersion),
+      element('lomimscc:lom', {}, [
+        element('lomimscc:general', {}, [
+          element('lomimscc:title', {}, lomStrings('lomimscc', courseData.title, language)),
+          textElement('lomimscc:language', language),
+          element('lomimscc:description', {}, lomStrings('lomimscc', courseData.description, language)),
+          ...lomKeywords('lomimscc', courseData.metadata, language),
+          element('lomimscc:identifier', {}, [
+            textElement('lomimscc:catalog', 'category'),
+            textElement('lomimscc:entry', courseData.category || 'Hybrid Hosting')
+          ])
+        ]),
+        ...lomSections('lomimscc', courseData.metadata, language)
+      ])
+    ]),
+    element('organizations', {}, [
+      element('organization', { identifier: organizationId, structure: 'rooted-hierarchy' }, [
+        element('item', { identifier: 'root' }, itemElements)
+      ])
+    ]),
+    element('resources', {}, [...generateResources(), ...generatePlatformResources()])
+  ]));
+
+  const files = {
+    'imsmanifest.xml': xml,
+    ...resourceFiles
+  };
+
+  return {
+    manifest: xml,
+    files,
+    toStream: () => archiveFiles(files),
+    toBuffer: () => new Promise((resolve, reject) => {
+      const chunks = [];
+      const archive = archiveFiles(files);
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('error', reject);
+    })
+  };
+}
+
+/**
+ * Generates the IMS manifest XML from a JSON structure
+ * @param {Object} courseData - Course structure in JSON format
+ * @param {string} outputPath - Path to write the output file
+ * @param {boolean} createPackage - Whether to create a zip package
+ * @param {Object} options - Generation options, as for buildCartridge, plus the events,
+ *   logger and quiet options of createCartridgePackage; events also receives a
+ *   resource-written event per file and one done event at the end
+ * @returns {Promise<string>} - The generated XML content; rejects with a
+ *   CourseValidationError before writing anything if the course is invalid
+ */
+function generateManifest(courseData, outputPath, createPackage = true, options = {}) {
+  const reporter = createReporter(options);
+  let cartridge;
+  try {
+    cartridge = buildCartridge(courseData, options);
+  } catch (err) {
+    return Promise.reject(err);
   }
-  
+
+  // Write the manifest and link files if an output path is provided
+  const written = outputPath ? Object.keys(cartridge.files) : [];
+  written.forEach(name => {
+    const filePath = name === 'imsmanifest.xml' ? outputPath : path.join(path.dirname(outputPath), name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, cartridge.files[name]);
+    reporter.emit('resource-written', { path: filePath, bytes: Buffer.byteLength(cartridge.files[name]) });
+  });
+
   // Create a zip package if requested
   if (createPackage && outputPath) {
     const cartridgeDir = path.dirname(outputPath);
@@ -350,13 +631,345 @@ function generateManifest(courseData, outputPath, createPackage = true) {
       path.dirname(cartridgeDir),
       path.basename(cartridgeDir)
     );
-    return createCartridgePackage(cartridgeDir, zipOutputBase)
-      .then(() => xml);
+    const packagePath = `${zipOutputBase}.imscc`;
+    return writePackage(cartridge, zipOutputBase, reporter).then(bytes => {
+      reportPackage(reporter, packagePath, bytes);
+      reporter.emit('done', { manifest: outputPath, files: written.length, package: packagePath, bytes });
+      return cartridge.manifest;
+    });
   }
-  
-  return Promise.resolve(xml);
+
+  reporter.emit('done', { manifest: outputPath, files: written.length });
+  return Promise.resolve(cartridge.manifest);
+}
+
+/**
+ * Reads an LTI link file (basiclti.xml or lti_advantage.xml) into a plain object
+ * @param {string} xml - The link file content
+ * @returns {Object} - The title, launch URL, icon, vendor, custom parameters and the
+ *   extension properties of each platform, keyed by platform attribute (nested "settings"
+ *   properties are flattened)
+ */
+function parseLtiLinkXml(xml) {
+  const doc = parseXml(xml);
+  const [link] = childElements(doc, 'cartridge_basiclti_link');
+  if (!link) {
+    throw new Error('Missing cartridge_basiclti_link root element');
+  }
+
+  // Collect property elements by name, descending into nested property groups
+  function collectProperties(parent, target) {
+    childElements(parent, 'property').forEach(property => {
+      if (childElements(property).length > 0) {
+        collectProperties(property, target);
+      } else {
+        target[property.attributes.name] = textContent(property);
+      }
+    });
+    return target;
+  }
+
+  // Each platform's adapter reads its own block
+  const extensions = {};
+  childElements(link, 'extensions').forEach(block => {
+    const platform = (block.attributes || {}).platform;
+    extensions[platform] = collectProperties(block, extensions[platform] || {});
+  });
+
+  const [custom] = childElements(link, 'custom');
+  const [vendorElement] = childElements(link, 'vendor');
+  const vendor = {};
+  if (vendorElement) {
+    ['code', 'name', 'description', 'url'].forEach(field => {
+      const [fieldElement] = childElements(vendorElement, field);
+      if (fieldElement) {
+        vendor[field] = textContent(fieldElement);
+      }
+    });
+    const [contact] = childElements(vendorElement, 'contact');
+    if (contact && childElements(contact, 'email').length > 0) {
+      vendor.contact = textContent(childElements(contact, 'email')[0]);
+    }
+  }
+
+  const [title] = childElements(link, 'title');
+  const [launchUrl] = childElements(link, 'launch_url');
+  const [secureLaunchUrl] = childElements(link, 'secure_launch_url');
+  const [icon] = childElements(link, 'icon');
+
+  return {
+    title: textContent(title),
+    launchUrl: textContent(launchUrl) || textContent(secureLaunchUrl),
+    iconUrl: icon ? textContent(icon) : undefined,
+    vendor,
+    custom: custom ? collectProperties(custom, {}) : {},
+    extensions
+  };
+}
+
+/**
+ * Extracts the target of a web link file
+ * @param {string} xml - Content of a webLink file
+ * @returns {Object} - { title, url }
+ */
+function parseWebLinkXml(xml) {
+  const [webLink] = childElements(parseXml(xml), 'webLink');
+  if (!webLink) {
+    throw new Error('Missing webLink root element');
+  }
+  const [url] = childElements(webLink, 'url');
+
+  return {
+    title: textContent(childElements(webLink, 'title')[0]),
+    url: url && url.attributes ? url.attributes.href : ''
+  };
+}
+
+/**
+ * Rebuilds assessment metadata from the extension blocks of an LTI Advantage link
+ * @param {Object} extensions - Extension properties keyed by platform, as parseLtiLinkXml returns them
+ * @param {string} title - Assessment title, used to infer the assessment type
+ * @param {Object} groupNames - Assignment group names keyed by identifier
+ * @returns {Object} - Assessment metadata in the course JSON shape
+ */
+function parseAssessmentMetadata(extensions, title, groupNames = {}) {
+  return {
+    type: /\bexam\b/i.test(title) ? 'exam' : 'quiz',
+    ...parsePlatformExtensions(extensions, { groupNames }).metadata
+  };
+}
+
+/**
+ * Opens a cartridge package, naming the package in the error when it cannot be read
+ * @param {string|Buffer} imsccPath - Path to the .imscc package, or its contents
+ * @returns {AdmZip} - The opened package
+ */
+function openCartridge(imsccPath) {
+  const name = Buffer.isBuffer(imsccPath) ? '(buffer)' : imsccPath;
+  if (!Buffer.isBuffer(imsccPath) && !fs.existsSync(imsccPath)) {
+    throw new Error(`Cannot read cartridge ${name}: no such file`);
+  }
+  try {
+    return new AdmZip(imsccPath);
+  } catch (err) {
+    throw new Error(`Cannot read cartridge ${name}: ${err.message.replace(/^ADM-ZIP: /, '')}`);
+  }
+}
+
+/**
+ * Parses an existing thin Common Cartridge back into the course JSON structure
+ * accepted by generateManifest
+ * @param {string|Buffer} imsccPath - Path to the .imscc package, or its contents
+ * @returns {Promise<Object>} - The reconstructed course data
+ */
+function parseCartridge(imsccPath) {
+  // Reading is synchronous, so anything thrown here rejects the promise
+  return new Promise(resolve => {
+    const zip = openCartridge(imsccPath);
+
+    // Read a file from the package as UTF-8 text
+    function readEntry(entryName) {
+      const entry = zip.getEntry(entryName);
+      if (!entry) {
+        throw new Error(`File not found in cartridge: ${entryName}`);
+      }
+      return entry.getData().toString('utf8');
+    }
+
+    const doc = parseXml(readEntry('imsmanifest.xml'));
+    const [manifest] = childElements(doc, 'manifest');
+    if (!manifest) {
+      throw new Error('imsmanifest.xml has no manifest root element');
+    }
+
+    // Course-level metadata from the LOM block
+    const [metadata] = childElements(manifest, 'metadata');
+    const [lom] = metadata ? childElements(metadata, 'lom') : [];
+    const [general] = lom ? childElements(lom, 'general') : [];
+    const [languageElement] = general ? childElements(general, 'language') : [];
+    const language = textContent(languageElement) || DEFAULT_LANGUAGE;
+    const generalField = (name) => parseLomString(general && childElements(general, name)[0], language);
+    const courseMetadata = lom ? parseLomMetadata(lom, language) : {};
+    const [identifier] = general ? childElements(general, 'identifier') : [];
+
+    // Index resources by identifier so items can resolve their link files
+    const resourcesById = {};
+    const [resourcesElement] = childElements(manifest, 'resources');
+    if (resourcesElement) {
+      childElements(resourcesElement, 'resource').forEach(resource => {
+        const [file] = childElements(resource, 'file');
+        const [resourceMetadata] = childElements(resource, 'metadata');
+        const [resourceLom] = resourceMetadata ? childElements(resourceMetadata, 'lom') : [];
+        const [resourceGeneral] = resourceLom ? childElements(resourceLom, 'general') : [];
+        const [resourceTitle] = resourceGeneral ? childElements(resourceGeneral, 'title') : [];
+        resourcesById[resource.attributes.identifier] = {
+          type: resource.attributes.type,
+          href: resource.attributes.href || (file && file.attributes.href),
+          title: resourceTitle && parseLomString(resourceTitle, language),
+          metadata: resourceLom && parseLomMetadata(resourceLom, language)
+        };
+      });
+    }
+
+    // Gradebook setup from Canvas course settings, when the cartridge has them
+    const readSettings = (name) => zip.getEntry(`course_settings/${name}`)
+      ? parseXml(readEntry(`course_settings/${name}`))
+      : null;
+    const [courseSettings] = childElements(readSettings('course_settings.xml') || {}, 'course');
+    const [groupsElement] = childElements(readSettings('assignment_groups.xml') || {}, 'assignmentGroups');
+    const groupNames = {};
+    const assignmentGroups = groupsElement && childElements(groupsElement, 'assignmentGroup').map(group => {
+      const name = textContent(childElements(group, 'title')[0]);
+      const [weight] = childElements(group, 'group_weight');
+      groupNames[(group.attributes || {}).identifier] = name;
+      return weight ? { name, weight: Number(textContent(weight)) } : { name };
+    });
+    const [startAt] = courseSettings ? childElements(courseSettings, 'start_at') : [];
+
+    // Every link file read, with the course item it belongs to, for rebuilding tool blocks
+    const links = [];
+
+    // Rebuild the children of an organization item
+    function parseItems(parentElement, parentPath = []) {
+      const children = [];
+
+      childElements(parentElement, 'item').forEach(itemElement => {
+        const displayTitle = textContent(childElements(itemElement, 'title')[0]);
+        const { identifier: id, identifierref: resourceId } = itemElement.attributes || {};
+
+        // The resource's LOM block carries every translation of the title, and identifiers
+        // are derived from the title in the course language. A folder made for an item with
+        // children takes the translations from the resource of its first entry, the item's link.
+        const resource = resourceId && resourcesById[resourceId];
+        const [firstElement] = resourceId ? [] : childElements(itemElement, 'item');
+        const firstResource = firstElement && resourcesById[(firstElement.attributes || {}).identifierref];
+        const folderTitle = firstResource && firstResource.title &&
+          translations(firstResource.title, language).some(translation => translation.text === displayTitle)
+          ? firstResource.title
+          : undefined;
+        const title = (resource && resource.title) || folderTitle || displayTitle;
+        const titlePath = [...parentPath, localize(title, language)];
+
+        // Container items have no resource of their own
+        if (!resourceId) {
+          const folderChildren = parseItems(itemElement, titlePath);
+
+          // A folder opening with its own link (as generated for items with children) is one item
+          const [first] = folderChildren;
+          if (first && !first.children && JSON.stringify(first.title) === JSON.stringify(title) &&
+              first.id === hashId('I_', [...titlePath, '#launch'])) {
+            first.id = id;
+            first.children = folderChildren.slice(1);
+            children.push(first);
+            return;
+          }
+
+          children.push({
+            id,
+            title,
+            children: folderChildren
+          });
+          return;
+        }
+
+        if (!resource || !resource.href) {
+          throw new Error(`Item "${displayTitle}" references unknown resource ${resourceId}`);
+        }
+
+        // Content metadata from the resource's LOM block, when it has any
+        const metadata = resource.metadata && Object.keys(resource.metadata).length > 0
+          ? { metadata: resource.metadata }
+          : {};
+
+        if (resource.type && resource.type.startsWith('imswl_')) {
+          children.push({
+            id,
+            title,
+            url: parseWebLinkXml(readEntry(resource.href)).url,
+            ...metadata
+          });
+          return;
+        }
+
+        if (resource.type === 'webcontent') {
+          const page = readEntry(resource.href);
+          const body = page.match(/<body[^>]*>\n?([\s\S]*?)\n?<\/body>/i);
+          children.push({
+            id,
+            title,
+            html: body ? body[1] : page,
+            ...metadata
+          });
+          return;
+        }
+
+        const link = parseLtiLinkXml(readEntry(resource.href));
+        const isAssessment = path.posix.basename(resource.href) === 'lti_advantage.xml';
+        const previous = children[children.length - 1];
+
+        // Assessments are emitted directly after the content item they belong to; one
+        // whose identifier is derived from its own title is a standalone assessment
+        const standalone = id === hashId('I_', titlePath);
+        if (isAssessment && !standalone && previous && previous.launchUrl && !previous.assessmentUrl && !previous.type) {
+          previous.assessmentId = id;
+          previous.assessmentUrl = link.launchUrl;
+          previous.assessmentTitle = title;
+          previous.assessmentMetadata = parseAssessmentMetadata(link.extensions, displayTitle, groupNames);
+          links.push({ item: previous, link, isAdvantage: true, identifier: id });
+          return;
+        }
+
+        // Any other LTI Advantage link is a standalone assessment
+        const item = isAssessment
+          ? { id, type: 'assessment', title, launchUrl: link.launchUrl, assessmentMetadata: parseAssessmentMetadata(link.extensions, displayTitle, groupNames), ...metadata }
+          : { id, title, launchUrl: link.launchUrl, ...metadata };
+        children.push(item);
+        links.push({ item, link, isAdvantage: isAssessment, identifier: id });
+      });
+
+      return children;
+    }
+
+    // The rooted hierarchy wraps every module in a single root item
+    const [organizations] = childElements(manifest, 'organizations');
+    const [organization] = organizations ? childElements(organizations, 'organization') : [];
+    const rootItems = organization ? childElements(organization, 'item') : [];
+    const modules = rootItems.length === 1 && !(rootItems[0].attributes || {}).identifierref
+      ? parseItems(rootItems[0])
+      : parseItems(organization || {});
+
+    // Shared tool settings move to the course; whatever differs stays on the item
+    const { courseTool, itemTools } = reconstructTools(links);
+    itemTools.forEach((tool, item) => {
+      item.tool = tool;
+    });
+
+    // Identifiers are kept so a rebuilt cartridge re-imports over the original
+    resolve({
+      id: manifest.attributes && manifest.attributes.identifier,
+      title: generalField('title'),
+      description: generalField('description'),
+      language,
+      category: identifier ? textContent(childElements(identifier, 'entry')[0]) : '',
+      tool: courseTool,
+      ...(startAt && { startDate: textContent(startAt) }),
+      ...(assignmentGroups && { assignmentGroups }),
+      ...(Object.keys(courseMetadata).length > 0 && { metadata: courseMetadata }),
+      modules
+    });
+  });
 }
 
 module.exports = {
-  generateManifest
+  buildCartridge,
+  generateManifest,
+  createCartridgePackage,
+  generateBasicLtiXml,
+  generateLtiAdvantageXml,
+  parseCartridge,
+  itemType,
+  escapeHtml,
+  validateCourse,
+  CourseValidationError,
+  IdentifierCollisionError
 }; 
\ No newline at end of file
@@ -0,0 +1,386 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parseXml, localName, childElements, textContent } = require('./xmlReader');
+const { PROFILES, getProfile, profileForSchemaVersion } = require('./profiles');
+const { validateAgainstSchemas } = require('./xsdValidator');
+
+// Severity levels, most severe first
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Resource types other than LTI links that may appear in a thin cartridge
+const KNOWN_RESOURCE_TYPES = [
+  'webcontent',
+  'imswl_xmlv1p1',
+  'imswl_xmlv1p2',
+  'imswl_xmlv1p3',
+  'associatedcontent/imscc_xmlv1p1/learning-application-resource',
+  'associatedcontent/imscc_xmlv1p2/learning-application-resource',
+  'associatedcontent/imscc_xmlv1p3/learning-application-resource'
+];
+
+/**
+ * Checks that a string is an absolute http(s) URL
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value parses as an http or https URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Checks a thin Common Cartridge package for problems an LMS would reject or
+ * silently mishandle on import. The manifest is checked against the structure
+ * and namespaces the Common Cartridge schemas require for its profile; given a folder
+ * of the Common Cartridge XSDs, the manifest and link files are also validated against
+ * the profile's schemas.
+ * @param {string|Buffer} pathOrBuffer - Path to the .imscc package, or its contents
+ * @param {Object} options - Lint options
+ * @param {string} options.profile - Profile to check against; detected from <schemaversion> when omitted
+ * @param {string} options.schemaDir - Folder holding the CC 1.1/1.2/1.3 XSDs (searched recursively)
+ * @returns {Promise<Object>} - Report of { profile, valid, counts, issues } where each issue is
+ *   { severity, code, message, file }, sorted by severity
+ */
+function lintCartridge(pathOrBuffer, options = {}) {
+  return new Promise(resolve => {
+    const issues = [];
+    const report = (severity, code, message, file = 'imsmanifest.xml') => {
+      issues.push({ severity, code, message, file });
+    };
+
+    // Builds the final report once checks are done (or had to stop early)
+    const finish = (profileName) => {
+      issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+      const counts = SEVERITIES.reduce((result, severity) => ({
+        ...result,
+        [severity]: issues.filter(issue => issue.severity === severity).length
+      }), {});
+      resolve({
+        profile: profileName,
+        valid: counts.error === 0,
+        counts,
+        issues
+      });
+    };
+
+    let zip;
+    try {
+      zip = new AdmZip(pathOrBuffer);
+    } catch (err) {
+      report('error', 'invalid-package', `Not a readable zip package: ${err.message.replace(/^ADM-ZIP: /, '')}`, '');
+      return finish(options.profile);
+    }
+
+    const fileNames = zip.getEntries()
+      .filter(entry => !entry.isDirectory)
+      .map(entry => entry.entryName);
+
+    const readEntry = (entryName) => zip.getEntry(entryName).getData().toString('utf8');
+
+    if (!fileNames.includes('imsmanifest.xml')) {
+      report('error', 'missing-manifest', 'Package has no imsmanifest.xml at its root');
+      return finish(options.profile);
+    }
+
+    let manifestDoc;
+    try {
+      manifestDoc = parseXml(readEntry('imsmanifest.xml'));
+    } catch (err) {
+      report('error', 'malformed-xml', `imsmanifest.xml is not well-formed: ${err.message.split('\n')[0]}`);
+      return finish(options.profile);
+    }
+
+    const [manifest] = childElements(manifestDoc, 'manifest');
+    if (!manifest || childElements(manifestDoc).length !== 1) {
+      report('error', 'invalid-root', 'imsmanifest.xml must have a single <manifest> root element');
+      return finish(options.profile);
+    }
+    const manifestAttributes = manifest.attributes || {};
+
+    // Work out which profile applies
+    const [metadata] = childElements(manifest, 'metadata');
+    const schemaVersion = metadata ? textContent(childElements(metadata, 'schemaversion')[0]) : '';
+    let profileName = options.profile || profileForSchemaVersion(schemaVersion);
+    if (options.profile) {
+      try {
+        getProfile(options.profile);
+      } catch (err) {
+        report('error', 'unknown-profile', err.message);
+        return finish(options.profile);
+      }
+    }
+    if (!profileName) {
+      report('warning', 'unknown-schema-version', `Unsupported <schemaversion> "${schemaVersion}"; checking against cc1.1`);
+      profileName = 'cc1.1';
+    }
+    const profile = PROFILES[profileName];
+
+    // Documents to validate against the profile's XSDs, with the schemas the profile requires
+    const schemaDocuments = [];
+    const addSchemaDocument = (fileName, namespaces) => {
+      schemaDocuments.push({
+        fileName,
+        contents: readEntry(fileName),
+        namespace: namespaces.xmlns,
+        schemaLocation: namespaces['xsi:schemaLocation']
+      });
+    };
+    addSchemaDocument('imsmanifest.xml', { ...profile.manifestNamespaces, 'xsi:schemaLocation': profile.manifestSchemaLocation });
+
+    // Namespaces, schema version and element order required by the profile's schemas
+    if (manifestAttributes.xmlns !== profile.manifestNamespaces.xmlns) {
+      report('error', 'namespace-mismatch', `Manifest namespace "${manifestAttributes.xmlns}" does not match ${profileName} (${profile.manifestNamespaces.xmlns})`);
+    }
+    if (manifestAttributes['xmlns:lomimscc'] && manifestAttributes['xmlns:lomimscc'] !== profile.manifestNamespaces['xmlns:lomimscc']) {
+      report('error', 'namespace-mismatch', `LOM namespace "${manifestAttributes['xmlns:lomimscc']}" does not match ${profileName}`);
+    }
+    if (manifestAttributes['xsi:schemaLocation'] !== profile.manifestSchemaLocation) {
+      report('warning', 'schema-location', `xsi:schemaLocation differs from the ${profileName} schema locations`);
+    }
+    if (!metadata) {
+      report('error', 'missing-element', '<manifest> has no <metadata> element');
+    } else {
+      if (textContent(childElements(metadata, 'schema')[0]) !== 'IMS Common Cartridge') {
+        report('error', 'invalid-schema', '<schema> must be "IMS Common Cartridge"');
+      }
+      if (options.profile && schemaVersion !== profile.schemaVersion) {
+        report('error', 'schema-version-mismatch', `<schemaversion> is "${schemaVersion}" but ${profileName} requires "${profile.schemaVersion}"`);
+      }
+      const [lom] = childElements(metadata, 'lom');
+      const [general] = lom ? childElements(lom, 'general') : [];
+      if (!general || childElements(general, 'title').length === 0) {
+        report('warning', 'missing-title', 'Manifest LOM metadata has no course title');
+      }
+    }
+
+    const order = ['metadata', 'organizations', 'resources'];
+    const topLevel = childElements(manifest).map(child => localName(child.name));
+    const known = topLevel.filter(name => order.includes(name));
+    if (known.some((name, index) => index > 0 && order.indexOf(name) < order.indexOf(known[index - 1]))) {
+      report('error', 'element-order', '<manifest> children must appear in the order metadata, organizations, resources');
+    }
+
+    // Identifiers must be unique across the whole manifest
+    const identifiers = new Map();
+    const claimIdentifier = (identifier, description) => {
+      if (!identifier) {
+        report('error', 'missing-identifier', `${description} has no identifier attribute`);
+        return;
+      }
+      if (identifiers.has(identifier)) {
+        report('error', 'duplicate-identifier', `Identifier "${identifier}" is used by ${identifiers.get(identifier)} and ${description}`);
+        return;
+      }
+      identifiers.set(identifier, description);
+    };
+    claimIdentifier(manifestAttributes.identifier, '<manifest>');
+
+    // Resources, their files and the link files they point to
+    const [resourcesElement] = childElements(manifest, 'resources');
+    const resources = new Map();
+    const referencedFiles = new Set();
+    if (!resourcesElement) {
+      report('error', 'missing-element', '<manifest> has no <resources> element');
+    } else {
+      childElements(resourcesElement, 'resource').forEach(resource => {
+        const { identifier, type, href } = resource.attributes || {};
+        claimIdentifier(identifier, `resource "${identifier}"`);
+        resources.set(identifier, resource);
+
+        if (type !== profile.resourceTypes.basicLti && !KNOWN_RESOURCE_TYPES.includes(type)) {
+          report('warning', 'unknown-resource-type', `Resource "${identifier}" has unexpected type "${type}"`);
+        }
+
+        const hrefs = childElements(resource, 'file').map(file => (file.attributes || {}).href);
+        if (href && !hrefs.includes(href)) {
+          hrefs.unshift(href);
+        }
+        if (hrefs.length === 0) {
+          report('error', 'missing-file-element', `Resource "${identifier}" has no <file> element`);
+        }
+
+        hrefs.forEach(fileHref => {
+          if (!fileHref) {
+            report('error', 'missing-href', `A <file> of resource "${identifier}" has no href`);
+            return;
+          }
+          referencedFiles.add(fileHref);
+          if (!fileNames.includes(fileHref)) {
+            report('error', 'missing-file', `Resource "${identifier}" references "${fileHref}", which is not in the package`);
+            return;
+          }
+          if (type === profile.resourceTypes.basicLti) {
+            lintLinkFile(fileHref);
+          } else if (type === profile.resourceTypes.webLink) {
+            lintWebLinkFile(fileHref);
+          }
+        });
+      });
+    }
+
+    // LTI link files must be well-formed and launchable
+    function lintLinkFile(fileHref) {
+      let doc;
+      try {
+        doc = parseXml(readEntry(fileHref));
+      } catch (err) {
+        report('error', 'malformed-xml', `Link file is not well-formed: ${err.message.split('\n')[0]}`, fileHref);
+        return;
+      }
+
+      const [link] = childElements(doc, 'cartridge_basiclti_link');
+      if (!link) {
+        report('error', 'invalid-root', 'Link file has no <cartridge_basiclti_link> root element', fileHref);
+        return;
+      }
+      addSchemaDocument(fileHref, profile.ltiNamespaces);
+      if ((link.attributes || {}).xmlns !== profile.ltiNamespaces.xmlns) {
+        report('warning', 'namespace-mismatch', `Link namespace "${(link.attributes || {}).xmlns}" does not match ${profileName} (${profile.ltiNamespaces.xmlns})`, fileHref);
+      }
+      if (!textContent(childElements(link, 'title')[0])) {
+        report('error', 'missing-title', 'Link file has no <blti:title>', fileHref);
+      }
+
+      const launchUrl = textContent(childElements(link, 'launch_url')[0]);
+      const secureLaunchUrl = textContent(childElements(link, 'secure_launch_url')[0]);
+      if (!launchUrl && !secureLaunchUrl) {
+        report('error', 'missing-launch-url', 'Link file has no <blti:launch_url> or <blti:secure_launch_url>', fileHref);
+      }
+      [launchUrl, secureLaunchUrl].filter(Boolean).forEach(url => {
+        if (!isHttpUrl(url)) {
+          report('error', 'invalid-launch-url', `"${url}" is not a valid http(s) URL`, fileHref);
+        }
+      });
+      if (launchUrl && !secureLaunchUrl && !launchUrl.startsWith('https://')) {
+        report('info', 'insecure-launch-url', 'Link launches over plain http and has no secure_launch_url', fileHref);
+      }
+    }
+
+    // Web link files need a title and an http(s) target
+    function lintWebLinkFile(fileHref) {
+      let doc;
+      try {
+        doc = parseXml(readEntry(fileHref));
+      } catch (err) {
+        report('error', 'malformed-xml', `Web link file is not well-formed: ${err.message.split('\n')[0]}`, fileHref);
+        return;
+      }
+
+      const [webLink] = childElements(doc, 'webLink');
+      if (!webLink) {
+        report('error', 'invalid-root', 'Web link file has no <webLink> root element', fileHref);
+        return;
+      }
+      addSchemaDocument(fileHref, profile.webLinkNamespaces);
+      if ((webLink.attributes || {}).xmlns !== profile.webLinkNamespaces.xmlns) {
+        report('warning', 'namespace-mismatch', `Web link namespace "${(webLink.attributes || {}).xmlns}" does not match ${profileName} (${profile.webLinkNamespaces.xmlns})`, fileHref);
+      }
+      if (!textContent(childElements(webLink, 'title')[0])) {
+        report('error', 'missing-title', 'Web link file has no <title>', fileHref);
+      }
+
+      const [url] = childElements(webLink, 'url');
+      const href = url && url.attributes ? url.attributes.href : undefined;
+      if (!href) {
+        report('error', 'missing-launch-url', 'Web link file has no <url href>', fileHref);
+      } else if (!isHttpUrl(href)) {
+        report('error', 'invalid-launch-url', `"${href}" is not a valid http(s) URL`, fileHref);
+      }
+    }
+
+    // The organization tree: one rooted hierarchy whose items resolve to resources
+    const [organizations] = childElements(manifest, 'organizations');
+    const referencedResources = new Set();
+    const organizationList = organizations ? childElements(organizations, 'organization') : [];
+    if (organizationList.length !== 1) {
+      report('error', 'organization-count', `Expected exactly one <organization>, found ${organizationList.length}`);
+    }
+    organizationList.forEach(organization => {
+      const { identifier, structure } = organization.attributes || {};
+      claimIdentifier(identifier, '<organization>');
+      if (structure !== 'rooted-hierarchy') {
+        report('error', 'invalid-structure', `<organization> structure must be "rooted-hierarchy", not "${structure}"`);
+      }
+
+      const rootItems = childElements(organization, 'item');
+      if (rootItems.length !== 1) {
+        report('error', 'root-item-count', `A rooted hierarchy needs exactly one root <item>, found ${rootItems.length}`);
+      }
+
+      const lintItems = (items) => items.forEach(item => {
+        const { identifier: itemId, identifierref } = item.attributes || {};
+        claimIdentifier(itemId, `item "${itemId}"`);
+
+        const children = childElements(item, 'item');
+        if (identifierref) {
+          referencedResources.add(identifierref);
+          if (!resources.has(identifierref)) {
+            report('error', 'unresolved-identifierref', `Item "${itemId}" references missing resource "${identifierref}"`);
+          }
+          if (children.length > 0) {
+            report('warning', 'leaf-with-children', `Item "${itemId}" references a resource and also has child items`);
+          }
+        } else if (children.length === 0 && !rootItems.includes(item)) {
+          report('warning', 'empty-folder-item', `Item "${itemId}" has neither a resource nor child items`);
+        }
+        if (!rootItems.includes(item) && !textContent(childElements(item, 'title')[0])) {
+          report('warning', 'missing-item-title', `Item "${itemId}" has no title`);
+        }
+
+        lintItems(children);
+      });
+      lintItems(rootItems);
+    });
+
+    // Associated content such as LMS course settings is not meant to appear in the tree
+    resources.forEach((resource, identifier) => {
+      const { type = '' } = resource.attributes || {};
+      if (!referencedResources.has(identifier) && !type.startsWith('associatedcontent/')) {
+        report('warning', 'unreferenced-resource', `Resource "${identifier}" is not used by any item`);
+      }
+    });
+
+    // Package contents nothing refers to
+    const unreferencedFiles = fileNames.filter(name => name !== 'imsmanifest.xml' && !referencedFiles.has(name));
+    const referencedFolders = new Set([...referencedFiles].map(name => path.posix.dirname(name)));
+    const orphanedFolders = new Set(unreferencedFiles
+      .map(name => path.posix.dirname(name))
+      .filter(folder => folder !== '.' && !referencedFolders.has(folder)));
+
+    orphanedFolders.forEach(folder => {
+      report('warning', 'orphaned-folder', `Folder "${folder}/" is not used by any resource`, `${folder}/`);
+    });
+    unreferencedFiles
+      .filter(name => !orphanedFolders.has(path.posix.dirname(name)))
+      .forEach(name => {
+        report('warning', 'unreferenced-file', 'File is not referenced by any resource', name);
+      });
+
+    if (!options.schemaDir) {
+      finish(profileName);
+      return;
+    }
+
+    // Full schema validation, when the XSDs are at hand
+    validateAgainstSchemas(schemaDocuments, options.schemaDir).then(({ errors, missing }) => {
+      missing.forEach(schemaFile => {
+        report('warning', 'schema-not-found', `${schemaFile} is not in ${options.schemaDir}, so files using it were not validated against the ${profileName} XSDs`, '');
+      });
+      errors.forEach(error => {
+        report('error', 'schema-invalid', error.line ? `line ${error.line}: ${error.message}` : error.message, error.file);
+      });
+      finish(profileName);
+    }, err => {
+      report('error', 'schema-failed', `XSD validation could not run: ${err.message}`, '');
+      finish(profileName);
+    });
+  });
+}
+
+module.exports = {
+  lintCartridge,
+  SEVERITIES
+};
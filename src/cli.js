@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { generateManifest, parseCartridge, validateCourse } = require('./cartridgeGenerator');
+const { loadCourseFile, loadVariableSets, findCourseFiles } = require('./courseLoader');
+const { lintCartridge } = require('./cartridgeLinter');
+const { importCourseCsv } = require('./csvImporter');
+const { buildBatch } = require('./batchBuilder');
+const { diffCartridges, formatDiff } = require('./cartridgeDiff');
+const { localize } = require('./localization');
+const { startPreview } = require('./previewServer');
+const { checkLinks } = require('./linkChecker');
+
+// Process exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: thincc <command> [options]
+
+Commands:
+  build <course|folder>    Generate a cartridge for each JSON/YAML/CSV course file
+  inspect <file.imscc>     Print the module tree of an existing cartridge
+  validate <course|folder> Check course files without writing any output
+  lint <file.imscc>        Check a cartridge for conformance problems
+  import <outline.csv>     Convert a spreadsheet outline to course JSON on stdout
+  batch <template> <vars>  Build one cartridge per variable set (JSON/YAML list or CSV)
+                           from a course template using {{name}} placeholders
+  diff <old> <new>         Compare two cartridges or course files (exit 1 if they differ)
+  preview <course>         Rebuild a course file on every change and serve a preview page
+  check <course|file.imscc>
+                           Request every launch, assessment, JWKS and OIDC URL (exit 1 if any fail)
+
+Options:
+  -o, --output <dir>       Output directory for build, batch and preview (default: output)
+      --no-package         Write the cartridge folder but skip the .imscc zip
+      --profile <name>     Cartridge profile: cc1.1 (build default), cc1.2, cc1.3
+                           (lint detects it from the manifest when omitted)
+      --xsd <dir>          Folder of Common Cartridge XSDs to validate against in lint
+      --platform <list>    Comma-separated LMS extensions to emit (default: canvas)
+                           canvas, d2l (brightspace), moodle, blackboard, schoology
+      --deep-linking       Use each link's launch URL as its LTI 1.3 target_link_uri
+      --locale <lang>      Language of the titles shown for multilingual courses
+                           (default: the course language)
+      --title <text>       Course title for import (default: the file name)
+      --delimiter <char>   CSV field delimiter for import (default: ,)
+      --port <number>      Port for preview (default: 4000)
+      --concurrency <n>    Requests in flight at once for check (default: 8)
+      --timeout <ms>       Request timeout for check (default: 10000)
+      --rewrite <from=to>  Check URLs starting with <from> against <to> instead (repeatable)
+      --json               Print inspect output as course JSON, lint, batch, diff and check output as a JSON report
+  -h, --help               Show this help`;
+
+/**
+ * Error raised for bad command-line usage, reported with the usage text
+ */
+class UsageError extends Error {}
+
+/**
+ * Builds a cartridge for every course file found at the input path
+ * @param {string} inputPath - A course file or a folder of course files
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code
+ */
+async function buildCommand(inputPath, options) {
+  const courseFiles = await findCourseFiles(inputPath);
+  if (courseFiles.length === 0) {
+    throw new Error(`No course files found in ${inputPath}`);
+  }
+
+  let failures = 0;
+  for (const courseFile of courseFiles) {
+    const name = path.basename(courseFile, path.extname(courseFile));
+    const manifestPath = path.join(options.output, name, 'imsmanifest.xml');
+
+    try {
+      const courseData = await loadCourseFile(courseFile);
+      await generateManifest(courseData, manifestPath, options.package, {
+        profile: options.profile,
+        platforms: options.platforms,
+        deepLinking: options.deepLinking,
+        locale: options.locale
+      });
+      console.log(`Built ${courseFile} -> ${path.dirname(manifestPath)}`);
+    } catch (err) {
+      failures++;
+      console.error(`Failed to build ${courseFile}:\n  ${err.message}`);
+    }
+  }
+
+  return failures > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Prints the organization tree of an existing cartridge
+ * @param {string} imsccPath - Path to the .imscc package
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code
+ */
+async function inspectCommand(imsccPath, options) {
+  const courseData = await parseCartridge(imsccPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(courseData, null, 2));
+    return EXIT_OK;
+  }
+
+  const text = value => localize(value, options.locale, courseData.language);
+  console.log(text(courseData.title));
+  if (courseData.description) {
+    console.log(text(courseData.description));
+  }
+
+  // Print items indented by depth, with their launch and assessment details
+  function printItems(items, depth) {
+    const indent = '  '.repeat(depth);
+    items.forEach(item => {
+      console.log(`${indent}- ${text(item.title)}`);
+      if (item.type === 'assessment') {
+        const metadata = item.assessmentMetadata || {};
+        console.log(`${indent}    assessment: (${metadata.points || 0} pts) ${item.launchUrl}`);
+      } else if (item.launchUrl) {
+        console.log(`${indent}    launch: ${item.launchUrl}`);
+      }
+      if (item.url) {
+        console.log(`${indent}    link: ${item.url}`);
+      }
+      if (item.html !== undefined) {
+        console.log(`${indent}    page: ${item.html.length} characters of HTML`);
+      }
+      if (item.assessmentUrl) {
+        const metadata = item.assessmentMetadata || {};
+        console.log(`${indent}    assessment: ${text(item.assessmentTitle)} (${metadata.points || 0} pts) ${item.assessmentUrl}`);
+      }
+      if (item.children) {
+        printItems(item.children, depth + 1);
+      }
+    });
+  }
+  printItems(courseData.modules, 0);
+
+  return EXIT_OK;
+}
+
+/**
+ * Validates every course file found at the input path
+ * @param {string} inputPath - A course file or a folder of course files
+ * @returns {Promise<number>} - The process exit code
+ */
+async function validateCommand(inputPath) {
+  const courseFiles = await findCourseFiles(inputPath);
+  if (courseFiles.length === 0) {
+    throw new Error(`No course files found in ${inputPath}`);
+  }
+
+  let failures = 0;
+  for (const courseFile of courseFiles) {
+    let errors;
+    try {
+      errors = validateCourse(await loadCourseFile(courseFile));
+    } catch (err) {
+      // CSV outlines report their problems by row
+      errors = err.errors
+        ? err.errors.map(error => ({ path: `row ${error.row}${error.column ? ` (${error.column})` : ''}`, message: error.message }))
+        : [{ path: '(file)', message: err.message }];
+    }
+
+    if (errors.length > 0) {
+      failures++;
+      console.error(`${courseFile}: invalid`);
+      errors.forEach(error => console.error(`  ${error.path}: ${error.message}`));
+    } else {
+      console.log(`${courseFile}: ok`);
+    }
+  }
+
+  return failures > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Lints a cartridge and prints its issues
+ * @param {string} imsccPath - Path to the .imscc package
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code; failure when any error-level issue is found
+ */
+async function lintCommand(imsccPath, options) {
+  const report = await lintCartridge(imsccPath, { profile: options.profile, schemaDir: options.xsd });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.issues.forEach(issue => {
+      console.log(`${issue.severity.padEnd(7)} ${issue.file || imsccPath}: ${issue.message} [${issue.code}]`);
+    });
+    const { error, warning, info } = report.counts;
+    const profile = report.profile ? ` (${report.profile})` : '';
+    console.log(`${imsccPath}${profile}: ${error} error(s), ${warning} warning(s), ${info} info`);
+  }
+
+  return report.valid ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Converts a CSV course outline to course JSON and prints it
+ * @param {string} csvPath - Path to the CSV outline
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code
+ */
+async function importCommand(csvPath, options) {
+  const content = await fs.promises.readFile(csvPath, 'utf8');
+  const courseData = importCourseCsv(content, {
+    title: options.title || path.basename(csvPath, path.extname(csvPath))
+  }, { delimiter: options.delimiter });
+
+  console.log(JSON.stringify(courseData, null, 2));
+  return EXIT_OK;
+}
+
+/**
+ * Builds a cartridge per variable set from a course template and prints a summary
+ * @param {string} templatePath - Path to the course template (JSON or YAML)
+ * @param {string} variablesPath - Path to the variable sets
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code; failure when any course fails
+ */
+async function batchCommand(templatePath, variablesPath, options) {
+  if (!variablesPath) {
+    throw new UsageError('Missing variables file for "batch"');
+  }
+
+  const template = await loadCourseFile(templatePath);
+  const variableSets = await loadVariableSets(variablesPath);
+  const report = await buildBatch(template, variableSets, {
+    outputDir: options.output,
+    profile: options.profile,
+    platforms: options.platforms,
+    deepLinking: options.deepLinking,
+    locale: options.locale
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.courses.forEach(course => {
+      if (course.error) {
+        console.log(`failed  ${course.name}: ${course.error}`);
+      } else {
+        console.log(`built   ${course.name}: ${course.title} (${course.links} links, ${course.bytes} bytes) -> ${course.output}`);
+      }
+    });
+    console.log(`${report.built} built, ${report.failed} failed`);
+  }
+
+  return report.failed > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Compares two versions of a course and prints what changed
+ * @param {string} oldPath - The old .imscc or course file
+ * @param {string} newPath - The new .imscc or course file
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code; failure when the versions differ, like diff(1)
+ */
+async function diffCommand(oldPath, newPath, options) {
+  if (!newPath) {
+    throw new UsageError('Missing second input path for "diff"');
+  }
+
+  const diff = await diffCartridges(oldPath, newPath);
+  console.log(options.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+
+  return diff.identical ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Serves a live preview of a course file until interrupted
+ * @param {string} coursePath - Path to the course file
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code, once stopped with Ctrl+C
+ */
+async function previewCommand(coursePath, options) {
+  const port = options.port === undefined ? undefined : Number(options.port);
+  if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw new UsageError(`Invalid port "${options.port}"`);
+  }
+
+  const preview = await startPreview(coursePath, {
+    outputDir: options.output,
+    port,
+    locale: options.locale,
+    build: {
+      profile: options.profile,
+      platforms: options.platforms,
+      deepLinking: options.deepLinking
+    },
+    onBuild: ({ build, error }) => {
+      const time = new Date().toLocaleTimeString();
+      if (error) {
+        console.error(`[${time}] build ${build} failed:\n  ${error.message}`);
+      } else {
+        console.log(`[${time}] build ${build} ok`);
+      }
+    }
+  });
+  console.log(`Previewing ${coursePath} at ${preview.url} (Ctrl+C to stop)`);
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await preview.close();
+  return EXIT_OK;
+}
+
+/**
+ * Reads a positive whole-number option
+ * @param {string} value - Option value from the command line
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} - The number, undefined when the option is not set
+ */
+function positiveInteger(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Requests every URL of a course and prints the status of each
+ * @param {string} inputPath - A .imscc package or course file
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} - The process exit code; failure when any URL does not answer
+ */
+async function checkCommand(inputPath, options) {
+  // Each --rewrite is "<base URL>=<replacement base URL>"
+  const rewrite = {};
+  (options.rewrite || []).forEach(value => {
+    const separator = value.indexOf('=');
+    if (separator < 1) {
+      throw new UsageError(`--rewrite expects <from>=<to>, got "${value}"`);
+    }
+    rewrite[value.slice(0, separator)] = value.slice(separator + 1);
+  });
+
+  const report = await checkLinks(inputPath, {
+    concurrency: positiveInteger(options.concurrency, 'concurrency'),
+    timeout: positiveInteger(options.timeout, 'timeout'),
+    rewrite
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.links.forEach(link => {
+      const result = link.error ? `(${link.error})` : link.status;
+      console.log(`${link.ok ? 'ok  ' : 'FAIL'} ${link.kind.padEnd(10)} ${link.path.join(' > ')}: ${link.checkedUrl} ${result}`);
+    });
+    console.log(`${report.summary.urls} URLs checked, ${report.summary.failed} failed`);
+  }
+
+  return report.ok ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Runs the command line interface
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Promise<number>} - The process exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o', default: 'output' },
+        'no-package': { type: 'boolean', default: false },
+        profile: { type: 'string' },
+        platform: { type: 'string' },
+        xsd: { type: 'string' },
+        'deep-linking': { type: 'boolean' },
+        locale: { type: 'string' },
+        title: { type: 'string' },
+        delimiter: { type: 'string' },
+        port: { type: 'string' },
+        concurrency: { type: 'string' },
+        timeout: { type: 'string' },
+        rewrite: { type: 'string', multiple: true },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, target, secondTarget] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const options = {
+    output: values.output,
+    package: !values['no-package'],
+    profile: values.profile,
+    platforms: values.platform ? values.platform.split(',').map(name => name.trim()) : undefined,
+    deepLinking: values['deep-linking'],
+    locale: values.locale,
+    title: values.title,
+    delimiter: values.delimiter,
+    port: values.port,
+    concurrency: values.concurrency,
+    timeout: values.timeout,
+    rewrite: values.rewrite,
+    xsd: values.xsd,
+    json: values.json
+  };
+
+  try {
+    if (!target) {
+      throw new UsageError(`Missing input path for "${command}"`);
+    }
+
+    switch (command) {
+      case 'build':
+        return await buildCommand(target, options);
+      case 'inspect':
+        return await inspectCommand(target, options);
+      case 'validate':
+        return await validateCommand(target);
+      case 'lint':
+        return await lintCommand(target, options);
+      case 'import':
+        return await importCommand(target, options);
+      case 'batch':
+        return await batchCommand(target, secondTarget, options);
+      case 'diff':
+        return await diffCommand(target, secondTarget, options);
+      case 'preview':
+        return await previewCommand(target, options);
+      case 'check':
+        return await checkCommand(target, options);
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error(`Error: ${err.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main
+};
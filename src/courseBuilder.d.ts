@@ -0,0 +1,214 @@
+/// <reference types="node" />
+
+// Type definitions for the course JSON accepted by generateManifest (see
+// schema/course.schema.json) and for the CourseBuilder API
+
+/** A string, or the same text keyed by language tag (e.g. { en: "Greetings", zh: "问候" }) */
+export type LocalizedString = string | { [language: string]: string };
+
+/** ISO 8601 date or date-time, optionally with a time zone offset */
+export type IsoDate = string;
+
+/** An ISO date, or days after the course startDate at a time of day (HH:MM) */
+export type AssessmentDate = IsoDate | { days: number; time?: string };
+
+export interface Vendor {
+  code?: string;
+  name?: string;
+  description?: string;
+  url?: string;
+  contact?: string;
+}
+
+export type CustomParameters = { [name: string]: string | number | boolean };
+
+export interface Tool {
+  vendor?: Vendor;
+  toolId?: string;
+  clientId?: string;
+  deploymentId?: string;
+  jwksUrl?: string;
+  oidcLoginUrl?: string;
+  targetLinkUri?: string;
+  privacyLevel?: 'public' | 'name_only' | 'email_only' | 'anonymous';
+  iconUrl?: string;
+  display?: 'embed' | 'newWindow';
+  deepLinking?: boolean;
+  linkIdParameter?: string;
+  custom?: CustomParameters;
+}
+
+export interface AssessmentMetadata {
+  type?: 'quiz' | 'exam';
+  points?: number;
+  passingScore?: number;
+  timeLimit?: number;
+  attempts?: number;
+  proctored?: boolean;
+  gradingType?: 'points' | 'percent' | 'passFail';
+  assignmentGroup?: string;
+  dueAt?: AssessmentDate;
+  unlockAt?: AssessmentDate;
+  lockAt?: AssessmentDate;
+}
+
+export type ContributorRole =
+  | 'author' | 'publisher' | 'unknown' | 'initiator' | 'terminator' | 'validator' | 'editor'
+  | 'graphical designer' | 'technical implementer' | 'content provider' | 'technical validator'
+  | 'educational validator' | 'script writer' | 'instructional designer' | 'subject matter expert';
+
+export interface Contributor {
+  role: ContributorRole;
+  name: string;
+  organization?: string;
+  email?: string;
+  date?: IsoDate;
+}
+
+export interface Metadata {
+  keywords?: LocalizedString[];
+  version?: string;
+  contributors?: Contributor[];
+  rights?: { copyright: boolean; cost?: boolean; description?: LocalizedString };
+  educationalContext?: 'school' | 'higher education' | 'training' | 'other';
+  typicalAgeRange?: LocalizedString;
+  gradeLevels?: string[];
+  subjects?: Array<string | { source?: string; id?: string; name: LocalizedString }>;
+}
+
+export type ItemType = 'lti' | 'assessment' | 'weblink' | 'html' | 'folder';
+
+export interface Item {
+  id?: string;
+  type?: ItemType;
+  title: LocalizedString;
+  launchUrl?: string;
+  url?: string;
+  html?: string;
+  assessmentId?: string;
+  assessmentUrl?: string;
+  assessmentTitle?: LocalizedString;
+  assessmentMetadata?: AssessmentMetadata;
+  tool?: Tool;
+  custom?: CustomParameters;
+  metadata?: Metadata;
+  children?: Item[];
+}
+
+export interface Course {
+  id?: string;
+  title: LocalizedString;
+  description?: LocalizedString;
+  language?: string;
+  category?: string;
+  tool?: Tool;
+  custom?: CustomParameters;
+  startDate?: IsoDate;
+  metadata?: Metadata;
+  assignmentGroups?: Array<{ name: string; weight?: number }>;
+  modules: Item[];
+}
+
+export interface GenerationOptions {
+  profile?: 'cc1.1' | 'cc1.2' | 'cc1.3';
+  platforms?: string[];
+  deepLinking?: boolean;
+  locale?: string;
+  /** Receives item-generated, resource-written, zip-progress, warning and done events */
+  events?: import('events').EventEmitter;
+  logger?: { info(message: string): void; warn(message: string): void };
+  quiet?: boolean;
+}
+
+export interface Cartridge {
+  manifest: string;
+  files: { [path: string]: string };
+  toBuffer(): Promise<Buffer>;
+  toStream(): NodeJS.ReadableStream;
+}
+
+export interface ValidationError {
+  path: string;
+  message: string;
+}
+
+/** Fields of an item other than the ones a builder method takes as arguments */
+export type ItemFields = Partial<Omit<Item, 'title' | 'children'>>;
+
+/** A title, or titles from one level of the tree down */
+export type TitlePath = LocalizedString | LocalizedString[];
+
+export class ItemsBuilder {
+  constructor(items: Item[]);
+
+  /** The item list this builder edits in place */
+  items: Item[];
+
+  /** Adds a module (folder), or reopens the module with this title if there is one */
+  module(title: LocalizedString, build?: (module: ItemsBuilder) => void, fields?: ItemFields): this;
+
+  /** Adds an LTI link */
+  lti(title: LocalizedString, launchUrl: string, fields?: ItemFields): this;
+
+  /** Adds a standalone LTI Advantage assessment */
+  assessment(title: LocalizedString, launchUrl: string, assessmentMetadata?: AssessmentMetadata, fields?: ItemFields): this;
+
+  /** Adds a plain web link */
+  webLink(title: LocalizedString, url: string, fields?: ItemFields): this;
+
+  /** Adds an HTML page packaged in the cartridge */
+  page(title: LocalizedString, html: string, fields?: ItemFields): this;
+
+  /** Adds an item given in the course JSON shape */
+  item(item: Item): this;
+
+  /** Finds an item by title or title path; the item itself is returned, so it can be changed in place */
+  find(titlePath: TitlePath): Item | undefined;
+
+  /** Changes an item found by title or title path; throws if none matches */
+  edit(titlePath: TitlePath, change: ItemFields | ((item: Item, children: ItemsBuilder) => void)): this;
+
+  /** Removes an item found by title or title path; throws if none matches */
+  remove(titlePath: TitlePath): this;
+}
+
+export class CourseBuilder extends ItemsBuilder {
+  /** Starts a course with a title, or copies existing course data to modify */
+  constructor(titleOrCourse: LocalizedString | Course);
+
+  /** Starts from a packaged cartridge */
+  static fromCartridge(imsccPath: string | Buffer): Promise<CourseBuilder>;
+
+  /** The course data being built */
+  course: Course;
+
+  /** Sets a course-level field; undefined removes it */
+  set<K extends keyof Course>(name: K, value: Course[K] | undefined): this;
+  title(title: LocalizedString): this;
+  description(description: LocalizedString): this;
+  language(language: string): this;
+  /** Merges a tool block over the course's */
+  tool(tool: Tool): this;
+  /** Merges custom parameters over the course's */
+  custom(custom: CustomParameters): this;
+  startDate(startDate: IsoDate): this;
+  /** Adds an assignment group, or changes the weight of an existing one */
+  assignmentGroup(name: string, weight?: number): this;
+  /** Merges catalog metadata over the course's */
+  metadata(metadata: Metadata): this;
+
+  /** Lists the problems that would stop the course from being generated */
+  validate(): ValidationError[];
+
+  /** Returns a copy of the course JSON; throws a CourseValidationError if it is invalid */
+  build(): Course;
+
+  /** Returns a copy of the course JSON without validating it */
+  toJSON(): Course;
+
+  /** Builds the cartridge in memory */
+  toCartridge(options?: GenerationOptions): Cartridge;
+
+  /** Writes the cartridge with generateManifest */
+  generate(outputPath: string, createPackage?: boolean, options?: GenerationOptions): Promise<string>;
+}
@@ -0,0 +1,348 @@
+const { buildCartridge, generateManifest, parseCartridge, validateCourse, CourseValidationError } = require('./cartridgeGenerator');
+const { translations } = require('./localization');
+
+/**
+ * Tells whether an item's title matches a title given to the builder
+ * @param {string|Object} itemTitle - The item's title, a string or language map
+ * @param {string|Object} title - Title to look for; a string matches any translation
+ * @returns {boolean} - True when they match
+ */
+function titleMatches(itemTitle, title) {
+  if (typeof title === 'string') {
+    return translations(itemTitle).some(translation => translation.text === title);
+  }
+  return JSON.stringify(itemTitle) === JSON.stringify(title);
+}
+
+/**
+ * Adds, edits and removes the items of one level of the course tree. Methods return
+ * the builder so calls can be chained; nested levels are built in callbacks.
+ */
+class ItemsBuilder {
+  /**
+   * @param {Array<Object>} items - The item list this builder edits in place
+   */
+  constructor(items) {
+    this.items = items;
+  }
+
+  /**
+   * Adds a module (folder), or reopens the module with this title if there is one
+   * @param {string|Object} title - Module title, a string or language map
+   * @param {Function} build - Optional callback receiving an ItemsBuilder for the module's items
+   * @param {Object} fields - Other item fields (e.g. id, tool, custom)
+   * @returns {ItemsBuilder} - This builder
+   */
+  module(title, build, fields = {}) {
+    let folder = this.items.find(item => item.children && !item.launchUrl && !item.url &&
+      item.html === undefined && titleMatches(item.title, title));
+    if (folder) {
+      Object.assign(folder, fields);
+    } else {
+      folder = { title, ...fields, children: [] };
+      this.items.push(folder);
+    }
+
+    if (build) {
+      build(new ItemsBuilder(folder.children));
+    }
+    return this;
+  }
+
+  /**
+   * Adds an LTI link
+   * @param {string|Object} title - Link title
+   * @param {string} launchUrl - Launch URL
+   * @param {Object} fields - Other item fields (e.g. assessmentUrl, assessmentMetadata, tool)
+   * @returns {ItemsBuilder} - This builder
+   */
+  lti(title, launchUrl, fields = {}) {
+    return this.item({ title, launchUrl, ...fields });
+  }
+
+  /**
+   * Adds a standalone LTI Advantage assessment
+   * @param {string|Object} title - Assessment title
+   * @param {string} launchUrl - Launch URL
+   * @param {Object} assessmentMetadata - Points, type, dates and other settings
+   * @param {Object} fields - Other item fields (e.g. id, tool)
+   * @returns {ItemsBuilder} - This builder
+   */
+  assessment(title, launchUrl, assessmentMetadata, fields = {}) {
+    return this.item({ type: 'assessment', title, launchUrl, ...(assessmentMetadata && { assessmentMetadata }), ...fields });
+  }
+
+  /**
+   * Adds a plain web link
+   * @param {string|Object} title - Link title
+   * @param {string} url - Target URL
+   * @param {Object} fields - Other item fields
+   * @returns {ItemsBuilder} - This builder
+   */
+  webLink(title, url, fields = {}) {
+    return this.item({ title, url, ...fields });
+  }
+
+  /**
+   * Adds an HTML page packaged in the cartridge
+   * @param {string|Object} title - Page title
+   * @param {string} html - Body of the page
+   * @param {Object} fields - Other item fields
+   * @returns {ItemsBuilder} - This builder
+   */
+  page(title, html, fields = {}) {
+    return this.item({ title, html, ...fields });
+  }
+
+  /**
+   * Adds an item given in the course JSON shape
+   * @param {Object} item - The item
+   * @returns {ItemsBuilder} - This builder
+   */
+  item(item) {
+    this.items.push(item);
+    return this;
+  }
+
+  /**
+   * Finds an item by title, or by a path of titles through nested items
+   * @param {string|Object|Array} titlePath - A title, or titles from this level down
+   * @returns {Object|undefined} - The item itself, so it can be changed in place
+   */
+  find(titlePath) {
+    const [title, ...rest] = Array.isArray(titlePath) ? titlePath : [titlePath];
+    const item = this.items.find(candidate => titleMatches(candidate.title, title));
+    if (!item || rest.length === 0) {
+      return item;
+    }
+    return new ItemsBuilder(item.children || []).find(rest);
+  }
+
+  /**
+   * Changes an item found by title or title path
+   * @param {string|Object|Array} titlePath - A title, or titles from this level down
+   * @param {Object|Function} change - Fields to set, or a callback receiving the item and an
+   *   ItemsBuilder for its children
+   * @returns {ItemsBuilder} - This builder; throws if no item matches
+   */
+  edit(titlePath, change) {
+    const item = this.find(titlePath);
+    if (!item) {
+      throw new Error(`No item titled ${JSON.stringify(titlePath)}`);
+    }
+
+    if (typeof change === 'function') {
+      // Only items that end up with children keep a children list
+      const hadChildren = Boolean(item.children);
+      item.children = item.children || [];
+      change(item, new ItemsBuilder(item.children));
+      if (!hadChildren && item.children.length === 0) {
+        delete item.children;
+      }
+    } else {
+      Object.assign(item, change);
+    }
+    return this;
+  }
+
+  /**
+   * Removes an item found by title or title path
+   * @param {string|Object|Array} titlePath - A title, or titles from this level down
+   * @returns {ItemsBuilder} - This builder; throws if no item matches
+   */
+  remove(titlePath) {
+    const path = Array.isArray(titlePath) ? titlePath : [titlePath];
+    const parent = path.length > 1 ? this.find(path.slice(0, -1)) : { children: this.items };
+    const siblings = (parent && parent.children) || [];
+    const index = siblings.findIndex(item => titleMatches(item.title, path[path.length - 1]));
+    if (index === -1) {
+      throw new Error(`No item titled ${JSON.stringify(titlePath)}`);
+    }
+
+    siblings.splice(index, 1);
+    return this;
+  }
+}
+
+/**
+ * Builds course JSON for generateManifest with chained calls, starting from a title or
+ * from an existing course (course JSON or a parsed cartridge) to modify
+ *
+ *   new CourseBuilder('Chinese I')
+ *     .module('Welcome', m => m.lti('eTeacher Guide', 'https://example.com/guide'))
+ *     .assessment('Final Exam', 'https://example.com/final', { type: 'exam', points: 100 })
+ *     .build();
+ */
+class CourseBuilder extends ItemsBuilder {
+  /**
+   * @param {string|Object} titleOrCourse - Course title (a string or language map), or course
+   *   data to start from; the course data is copied, not changed
+   */
+  constructor(titleOrCourse) {
+    // Course data has a title or modules; a language map title is keyed by language tags
+    const isCourse = typeof titleOrCourse === 'object' && titleOrCourse !== null &&
+      ('title' in titleOrCourse || 'modules' in titleOrCourse);
+    const course = isCourse ? structuredClone(titleOrCourse) : { title: titleOrCourse };
+    course.modules = course.modules || [];
+
+    super(course.modules);
+    this.course = course;
+  }
+
+  /**
+   * Starts from a packaged cartridge
+   * @param {string|Buffer} imsccPath - Path to the .imscc package, or its contents
+   * @returns {Promise<CourseBuilder>} - A builder holding the parsed course
+   */
+  static async fromCartridge(imsccPath) {
+    return new CourseBuilder(await parseCartridge(imsccPath));
+  }
+
+  /**
+   * Sets a course-level field
+   * @param {string} name - Field name from the course schema (e.g. "description", "startDate")
+   * @param {*} value - Field value; undefined removes the field
+   * @returns {CourseBuilder} - This builder
+   */
+  set(name, value) {
+    if (value === undefined) {
+      delete this.course[name];
+    } else {
+      this.course[name] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Sets the course title
+   * @param {string|Object} title - A string or language map
+   * @returns {CourseBuilder} - This builder
+   */
+  title(title) {
+    return this.set('title', title);
+  }
+
+  /**
+   * Sets the course description
+   * @param {string|Object} description - A string or language map
+   * @returns {CourseBuilder} - This builder
+   */
+  description(description) {
+    return this.set('description', description);
+  }
+
+  /**
+   * Sets the language of the course text
+   * @param {string} language - Language tag (e.g. "en", "zh")
+   * @returns {CourseBuilder} - This builder
+   */
+  language(language) {
+    return this.set('language', language);
+  }
+
+  /**
+   * Sets the LTI tool configuration shared by every link
+   * @param {Object} tool - Tool block; merged over the current one
+   * @returns {CourseBuilder} - This builder
+   */
+  tool(tool) {
+    return this.set('tool', { ...this.course.tool, ...tool });
+  }
+
+  /**
+   * Sets LTI custom parameters sent with every launch
+   * @param {Object} custom - Parameters; merged over the current ones
+   * @returns {CourseBuilder} - This builder
+   */
+  custom(custom) {
+    return this.set('custom', { ...this.course.custom, ...custom });
+  }
+
+  /**
+   * Sets the course start date that relative assessment dates count from
+   * @param {string} startDate - ISO date or date-time
+   * @returns {CourseBuilder} - This builder
+   */
+  startDate(startDate) {
+    return this.set('startDate', startDate);
+  }
+
+  /**
+   * Adds a gradebook assignment group, or changes the weight of an existing one
+   * @param {string} name - Group name
+   * @param {number} weight - Optional percentage of the final grade
+   * @returns {CourseBuilder} - This builder
+   */
+  assignmentGroup(name, weight) {
+    const groups = this.course.assignmentGroups || [];
+    const group = groups.find(candidate => candidate.name === name);
+    if (group) {
+      group.weight = weight;
+    } else {
+      groups.push(weight === undefined ? { name } : { name, weight });
+    }
+    return this.set('assignmentGroups', groups);
+  }
+
+  /**
+   * Sets catalog metadata (keywords, contributors, rights and so on)
+   * @param {Object} metadata - Metadata fields; merged over the current ones
+   * @returns {CourseBuilder} - This builder
+   */
+  metadata(metadata) {
+    return this.set('metadata', { ...this.course.metadata, ...metadata });
+  }
+
+  /**
+   * Lists the problems that would stop the course from being generated
+   * @returns {Array<Object>} - Validation errors as { path, message }, empty when valid
+   */
+  validate() {
+    return validateCourse(this.course);
+  }
+
+  /**
+   * Returns the course JSON
+   * @returns {Object} - A copy of the course data; throws a CourseValidationError if it is invalid
+   */
+  build() {
+    const errors = this.validate();
+    if (errors.length > 0) {
+      throw new CourseValidationError(errors);
+    }
+    return this.toJSON();
+  }
+
+  /**
+   * Returns the course JSON without validating it, as JSON.stringify uses it
+   * @returns {Object} - A copy of the course data
+   */
+  toJSON() {
+    return structuredClone(this.course);
+  }
+
+  /**
+   * Builds the cartridge in memory
+   * @param {Object} options - Generation options, as for buildCartridge
+   * @returns {Object} - The cartridge from buildCartridge
+   */
+  toCartridge(options) {
+    return buildCartridge(this.build(), options);
+  }
+
+  /**
+   * Writes the cartridge with generateManifest
+   * @param {string} outputPath - Path of imsmanifest.xml
+   * @param {boolean} createPackage - Whether to create the .imscc package too
+   * @param {Object} options - Generation options, as for generateManifest
+   * @returns {Promise<string>} - The manifest XML
+   */
+  generate(outputPath, createPackage = true, options = {}) {
+    return generateManifest(this.toJSON(), outputPath, createPackage, options);
+  }
+}
+
+module.exports = {
+  CourseBuilder,
+  ItemsBuilder
+};
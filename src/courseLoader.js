@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { importCourseCsv, CsvImportError } = require('./csvImporter');
+const { parseCartridge } = require('./cartridgeGenerator');
+
+// YAML without the timestamp type, so an unquoted date stays the ISO string the schema expects;
+// merge keys (<<: *defaults) are kept, as the default schema has them
+const YAML_OPTIONS = { schema: yaml.CORE_SCHEMA.extend({ implicit: [yaml.types.merge] }) };
+
+// File extensions recognised as course definitions
+const COURSE_EXTENSIONS = ['.json', '.yaml', '.yml', '.csv'];
+
+// Extensions read as packaged cartridges rather than course files
+const CARTRIDGE_EXTENSIONS = ['.imscc', '.zip'];
+
+/**
+ * Checks whether a file name looks like a course definition
+ * @param {string} filePath - Path or file name to check
+ * @returns {boolean} - True for .json, .yaml, .yml and .csv files
+ */
+function isCourseFile(filePath) {
+  return COURSE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Reads a course definition from a JSON or YAML file, or imports a CSV outline
+ * @param {string} filePath - Path to the course file
+ * @returns {Promise<Object>} - The parsed course data
+ */
+function loadCourseFile(filePath) {
+  return fs.promises.readFile(filePath, 'utf8').then(content => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    try {
+      if (extension === '.csv') {
+        // Outlines carry no course fields, so the file name becomes the title
+        return importCourseCsv(content, { title: path.basename(filePath, extension) });
+      }
+      return extension === '.json' ? JSON.parse(content) : yaml.load(content, YAML_OPTIONS);
+    } catch (err) {
+      if (err instanceof CsvImportError) {
+        throw err;
+      }
+      throw new Error(`Could not parse ${filePath}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Reads a course from a packaged cartridge or from a course definition
+ * @param {string|Buffer|Object} source - A .imscc/.zip path or Buffer, a course file path, or course data
+ * @returns {Promise<Object>} - { courseData, packaged }, packaged telling whether the course was
+ *   read back from a cartridge (and so carries the identifiers and defaults of a build)
+ */
+async function loadCourseSource(source) {
+  const packaged = Buffer.isBuffer(source) ||
+    (typeof source === 'string' && CARTRIDGE_EXTENSIONS.includes(path.extname(source).toLowerCase()));
+  if (packaged) {
+    return { courseData: await parseCartridge(source), packaged };
+  }
+
+  const courseData = typeof source === 'string' ? await loadCourseFile(source) : source;
+  return { courseData, packaged };
+}
+
+/**
+ * Reads the variable sets for a batch build: a JSON or YAML array of objects, or a
+ * CSV file whose header row names the variables and whose rows are the courses. CSV
+ * values are kept as text; applyTemplate converts them where the schema expects a number.
+ * @param {string} filePath - Path to the variables file
+ * @returns {Promise<Array<Object>>} - One object of template variables per course
+ */
+function loadVariableSets(filePath) {
+  return fs.promises.readFile(filePath, 'utf8').then(content => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    let variableSets;
+    try {
+      variableSets = extension === '.csv'
+        ? parseCsv(content, { bom: true, columns: true, skip_empty_lines: true, trim: true })
+        : extension === '.json' ? JSON.parse(content) : yaml.load(content, YAML_OPTIONS);
+    } catch (err) {
+      throw new Error(`Could not parse ${filePath}: ${err.message}`);
+    }
+
+    if (!Array.isArray(variableSets) || !variableSets.every(set => set && typeof set === 'object' && !Array.isArray(set))) {
+      throw new Error(`${filePath} must contain a list of variable sets`);
+    }
+
+    // Empty spreadsheet cells count as undefined variables rather than empty strings
+    return variableSets.map(set => Object.keys(set)
+      .filter(name => set[name] !== '')
+      .reduce((result, name) => ({ ...result, [name]: set[name] }), {}));
+  });
+}
+
+/**
+ * Lists the course files to process for a path, expanding directories
+ * @param {string} inputPath - A course file or a folder of course files
+ * @returns {Promise<Array<string>>} - Paths of the course files, sorted by name
+ */
+function findCourseFiles(inputPath) {
+  return fs.promises.stat(inputPath).then(stats => {
+    if (!stats.isDirectory()) {
+      return [inputPath];
+    }
+
+    return fs.promises.readdir(inputPath).then(entries =>
+      entries
+        .filter(isCourseFile)
+        .sort()
+        .map(entry => path.join(inputPath, entry))
+    );
+  });
+}
+
+module.exports = {
+  isCourseFile,
+  loadCourseFile,
+  loadCourseSource,
+  loadVariableSets,
+  findCourseFiles
+};
@@ -0,0 +1,132 @@
+const courseSchema = require('../schema/course.schema.json');
+
+// Matches {{name}} placeholders, allowing spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// A string that is nothing but a single placeholder
+const WHOLE_VARIABLE_PATTERN = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+/**
+ * Error raised when a template references variables the variable set does not define
+ */
+class TemplateError extends Error {
+  /**
+   * @param {Array<Object>} missing - Undefined variables as { name, path }
+   */
+  constructor(missing) {
+    super(`Undefined template variable(s): ${missing.map(({ name, path }) => `${name} (${path})`).join(', ')}`);
+    this.name = 'TemplateError';
+    this.missing = missing;
+  }
+}
+
+/**
+ * Lists the JSON types the course schema allows at a position in the course
+ * @param {Array<string|number>} segments - Property names and array indexes from the course root
+ * @returns {Set<string>} - Types such as "string" or "number"; empty when the schema says nothing
+ */
+function schemaTypesAt(segments) {
+  const resolve = node => (node && node.$ref
+    ? resolve(courseSchema.definitions[node.$ref.replace('#/definitions/', '')])
+    : node);
+
+  // A schema and every branch that can apply alongside it
+  const expand = (node) => {
+    const schema = resolve(node);
+    if (!schema || typeof schema !== 'object') {
+      return [];
+    }
+    return [
+      schema,
+      ...['anyOf', 'oneOf', 'allOf'].flatMap(keyword => (schema[keyword] || []).flatMap(expand)),
+      ...['then', 'else'].flatMap(keyword => expand(schema[keyword]))
+    ];
+  };
+
+  const nodes = segments.reduce((current, segment) => current.flatMap(schema => {
+    if (typeof segment === 'number') {
+      return expand(schema.items);
+    }
+    if (schema.properties && schema.properties[segment] !== undefined) {
+      return expand(schema.properties[segment]);
+    }
+    const pattern = Object.keys(schema.patternProperties || {}).find(source => new RegExp(source).test(segment));
+    return expand(pattern ? schema.patternProperties[pattern] : schema.additionalProperties);
+  }), expand(courseSchema));
+
+  return new Set(nodes.flatMap(schema => [].concat(schema.type || [])));
+}
+
+/**
+ * Converts a variable given as text to the type the course schema expects where it is used,
+ * so spreadsheet values fill number and boolean fields while codes such as "0101" stay text
+ * @param {*} value - The variable's value
+ * @param {Array<string|number>} segments - Where the value goes in the course
+ * @returns {*} - The value, converted when the schema allows a number or boolean there but no string
+ */
+function typedValue(value, segments) {
+  const types = schemaTypesAt(segments);
+  if (typeof value !== 'string' || types.has('string')) {
+    return value;
+  }
+  if ((types.has('number') || types.has('integer')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.has('boolean') && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Fills in the {{name}} placeholders of a course template. Placeholders may appear in
+ * any string value; a value that is only a placeholder takes the variable's own type,
+ * so "points": "{{examPoints}}" can become a number. Variables given as text (as CSV
+ * cells are) become numbers or booleans only where the course schema expects one.
+ * @param {*} template - The course template (or any part of it)
+ * @param {Object} variables - Values keyed by variable name
+ * @returns {*} - A copy of the template with every placeholder replaced; throws a
+ *   TemplateError listing every undefined variable and where it is used
+ */
+function applyTemplate(template, variables = {}) {
+  const missing = [];
+
+  const lookup = (name, valuePath) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name) || variables[name] === undefined) {
+      missing.push({ name, path: valuePath });
+      return '';
+    }
+    return variables[name];
+  };
+
+  function fill(value, valuePath, segments) {
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_VARIABLE_PATTERN);
+      if (whole) {
+        return typedValue(lookup(whole[1], valuePath), segments);
+      }
+      return value.replace(VARIABLE_PATTERN, (placeholder, name) => String(lookup(name, valuePath)));
+    }
+    if (Array.isArray(value)) {
+      return value.map((entry, index) => fill(entry, `${valuePath}[${index}]`, [...segments, index]));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).reduce((result, key) => ({
+        ...result,
+        [key]: fill(value[key], valuePath ? `${valuePath}.${key}` : key, [...segments, key])
+      }), {});
+    }
+    return value;
+  }
+
+  const result = fill(template, '', []);
+  if (missing.length > 0) {
+    throw new TemplateError(missing);
+  }
+  return result;
+}
+
+module.exports = {
+  applyTemplate,
+  TemplateError
+};
@@ -0,0 +1,186 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const courseSchema = require('../schema/course.schema.json');
+const { gradebookErrors } = require('./gradebook');
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+addFormats(ajv);
+const validateSchema = ajv.compile(courseSchema);
+
+/**
+ * Error raised when course data does not match the course schema
+ */
+class CourseValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors - Validation errors as returned by validateCourse
+   */
+  constructor(errors) {
+    super(`Invalid course data:\n${errors.map(error => `  ${error.path}: ${error.message}`).join('\n')}`);
+    this.name = 'CourseValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Converts a JSON Pointer into a property path (e.g. "/modules/2/title" -> "modules[2].title")
+ * @param {string} pointer - JSON Pointer from an Ajv error
+ * @returns {string} - The dotted property path
+ */
+function pointerToPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((result, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${result}[${segment}]`;
+      }
+      return result ? `${result}.${segment}` : segment;
+    }, '');
+}
+
+/**
+ * Counts the single-character edits that turn one name into another
+ * @param {string} a - One name
+ * @param {string} b - The other name
+ * @returns {number} - The edit (Levenshtein) distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known property an unknown one is most likely a misspelling of
+ * @param {string} name - The unknown property name
+ * @param {Array<string>} known - Property names the schema allows there
+ * @returns {string|undefined} - The closest known name, if it is at most two edits away
+ *   (one for names shorter than six characters)
+ */
+function closestProperty(name, known) {
+  const limit = Math.min(2, Math.floor(name.length / 3));
+  const [best] = known
+    .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance);
+  return best && best.candidate;
+}
+
+/**
+ * Turns an Ajv error into a { path, message } pair
+ * @param {Object} error - Ajv error object (compiled with verbose: true)
+ * @returns {Object} - The path of the offending value and a readable message
+ */
+function formatError(error) {
+  let pointer = error.instancePath;
+  let message = error.message;
+
+  switch (error.keyword) {
+    case 'required':
+      pointer += `/${error.params.missingProperty}`;
+      message = 'is required';
+      break;
+    case 'additionalProperties': {
+      pointer += `/${error.params.additionalProperty}`;
+      const suggestion = closestProperty(error.params.additionalProperty, Object.keys(error.parentSchema.properties || {}));
+      message = suggestion ? `is not a known property (did you mean ${suggestion}?)` : 'is not a known property';
+      break;
+    }
+    case 'propertyNames':
+      pointer += `/${error.params.propertyName}`;
+      message = 'is not a valid name (use letters, digits and "_")';
+      break;
+    case 'dependencies':
+      message = `requires ${error.params.missingProperty} when ${error.params.property} is set`;
+      break;
+    case 'anyOf': {
+      // Alternatives made only of "required" clauses read as "needs a or b"
+      const alternatives = error.schema.map(branch => branch.required || []);
+      if (alternatives.every(required => required.length > 0)) {
+        message = `needs ${alternatives.map(required => required.join(' and ')).join(' or ')}`;
+      } else if (error.schema.some(branch => branch.$ref === '#/definitions/languageMap')) {
+        message = 'must be a string or an object of strings keyed by language (e.g. { "en": "Greetings", "zh": "问候" })';
+      } else if (error.parentSchema === courseSchema.definitions.assessmentDate) {
+        message = 'must be an ISO date (e.g. "2026-09-15T23:59:00") or { "days": n, "time": "HH:MM" } after startDate';
+      }
+      break;
+    }
+    case 'format':
+    case 'pattern':
+      if (error.parentSchema === courseSchema.definitions.url) {
+        message = 'must be a valid http(s) URL';
+      } else if (error.parentSchema === courseSchema.definitions.date) {
+        message = 'must be an ISO date or date-time (e.g. "2026-09-01" or "2026-09-01T08:00:00-05:00")';
+      } else if (error.parentSchema === courseSchema.definitions.languageTag) {
+        message = 'must be a language tag (e.g. "en", "zh-Hans" or "pt-BR")';
+      } else if (error.parentSchema === courseSchema.definitions.identifier) {
+        message = 'must start with a letter or underscore and contain only letters, digits, "_", "-" and "."';
+      }
+      break;
+    case 'false schema':
+      message = 'is not used by this type of item';
+      break;
+    case 'enum':
+      message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+      break;
+  }
+
+  return {
+    path: pointerToPath(pointer) || '(root)',
+    message
+  };
+}
+
+/**
+ * Validates course data against the published course schema
+ * @param {Object} courseData - Course structure in JSON format
+ * @returns {Array<Object>} - All validation errors as { path, message }, empty when valid
+ */
+function validateCourse(courseData) {
+  // References between parts of the course are only checked once its shape is right
+  if (validateSchema(courseData)) {
+    return gradebookErrors(courseData);
+  }
+
+  // Errors inside an anyOf branch or a property name check are summarised by
+  // the anyOf / propertyNames error itself, including those of branches that are
+  // a $ref; a failed if/then is explained by the errors of its "then" branch
+  const summaryErrors = validateSchema.errors.filter(error =>
+    error.keyword === 'anyOf' || error.keyword === 'propertyNames'
+  );
+  const branchPaths = summary => [
+    summary.schemaPath,
+    ...(summary.keyword === 'anyOf' ? summary.schema.filter(branch => branch.$ref).map(branch => branch.$ref) : [])
+  ];
+  const errors = validateSchema.errors.filter(error =>
+    error.keyword !== 'if' &&
+    !summaryErrors.some(summary =>
+      (summary.instancePath === error.instancePath || error.instancePath.startsWith(`${summary.instancePath}/`)) &&
+      branchPaths(summary).some(schemaPath => error.schemaPath.startsWith(`${schemaPath}/`))
+    )
+  );
+
+  // Format and pattern failures on the same URL collapse into one message
+  const seen = new Set();
+  return errors.map(formatError).filter(error => {
+    const key = `${error.path}\n${error.message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  validateCourse,
+  CourseValidationError,
+  courseSchema
+};
@@ -0,0 +1,234 @@
+const { parse } = require('csv-parse/sync');
+const { validateCourse } = require('./courseValidator');
+
+// Separator for nested module paths in the module column (e.g. "Module 01 > Practice")
+const MODULE_PATH_SEPARATOR = '>';
+
+// Course JSON field for each recognised column, keyed by normalised header
+const COLUMNS = {
+  module: 'module',
+  title: 'title',
+  launchurl: 'launchUrl',
+  assessmenturl: 'assessmentUrl',
+  assessmenttitle: 'assessmentTitle',
+  type: 'type',
+  points: 'points',
+  passingscore: 'passingScore',
+  timelimit: 'timeLimit',
+  attempts: 'attempts',
+  proctored: 'proctored'
+};
+
+const REQUIRED_COLUMNS = ['module', 'title', 'launchUrl'];
+
+// Columns that only make sense together with an assessment URL
+const ASSESSMENT_COLUMNS = ['assessmentTitle', 'type', 'points', 'passingScore', 'timeLimit', 'attempts', 'proctored'];
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true, x: true,
+  false: false, no: false, n: false, 0: false
+};
+
+/**
+ * Error raised when a CSV course outline cannot be imported
+ */
+class CsvImportError extends Error {
+  /**
+   * @param {Array<Object>} errors - Problems as { row, column, message }
+   */
+  constructor(errors) {
+    super(`Invalid course outline:\n${errors.map(error =>
+      `  row ${error.row}${error.column ? ` (${error.column})` : ''}: ${error.message}`
+    ).join('\n')}`);
+    this.name = 'CsvImportError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalises a header so "Launch URL", "launch_url" and "launchUrl" all match
+ * @param {string} header - Header cell as written in the spreadsheet
+ * @returns {string} - Lowercase header without spaces, dashes or underscores
+ */
+function normaliseHeader(header) {
+  return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Imports a spreadsheet course outline (CSV, including Excel's UTF-8 CSV export)
+ * into the course JSON accepted by generateManifest. Each row is one item; the
+ * module column names its module, with ">" separating nested modules.
+ * @param {string} csvText - The CSV content
+ * @param {Object} courseFields - Course-level fields (title, description, category, ...)
+ * @param {Object} options - Import options
+ * @param {string} options.delimiter - Field delimiter (default ",", use ";" for some Excel locales)
+ * @returns {Object} - The course JSON; throws a CsvImportError listing every bad row
+ */
+function importCourseCsv(csvText, courseFields = {}, options = {}) {
+  const errors = [];
+
+  let records;
+  try {
+    records = parse(csvText, {
+      bom: true,
+      delimiter: options.delimiter || ',',
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (err) {
+    throw new CsvImportError([{ row: err.lines || 1, message: err.message }]);
+  }
+
+  if (records.length === 0) {
+    throw new CsvImportError([{ row: 1, message: 'outline is empty' }]);
+  }
+
+  // Map header cells to course fields
+  const [header, ...rows] = records;
+  const fields = header.record.map(cell => COLUMNS[normaliseHeader(cell)]);
+  const missing = REQUIRED_COLUMNS.filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    throw new CsvImportError([{ row: header.info.lines, message: `missing column(s): ${missing.join(', ')}` }]);
+  }
+
+  const course = {
+    ...courseFields,
+    title: courseFields.title || 'Untitled Course',
+    modules: []
+  };
+
+  // Course paths of generated items, so schema errors can be traced back to rows
+  const rowsByPath = [];
+
+  // Find or create the module for a path of module titles
+  function findModule(titles) {
+    let items = course.modules;
+    let modulePath = 'modules';
+    let module;
+
+    titles.forEach(title => {
+      let index = items.findIndex(item => item.children && item.title === title);
+      if (index === -1) {
+        items.push({ title, children: [] });
+        index = items.length - 1;
+      }
+      module = items[index];
+      modulePath = `${modulePath}[${index}].children`;
+      items = module.children;
+    });
+
+    return { module, modulePath };
+  }
+
+  rows.forEach(({ record, info }) => {
+    const row = info.lines;
+    const values = {};
+    fields.forEach((field, index) => {
+      if (field && record[index] !== undefined && record[index] !== '') {
+        values[field] = record[index];
+      }
+    });
+
+    // Rows with nothing in the recognised columns are spacers
+    if (Object.keys(values).length === 0) {
+      return;
+    }
+
+    const rowErrors = [];
+    const fail = (column, message) => rowErrors.push({ row, column, message });
+
+    REQUIRED_COLUMNS
+      .filter(field => !values[field])
+      .forEach(field => fail(field, 'is required'));
+
+    const numberField = (field, integer) => {
+      if (values[field] === undefined) {
+        return undefined;
+      }
+      const value = Number(values[field]);
+      if (Number.isNaN(value) || (integer && !Number.isInteger(value))) {
+        fail(field, `"${values[field]}" is not ${integer ? 'a whole number' : 'a number'}`);
+      }
+      return value;
+    };
+
+    const metadata = {
+      type: values.type && values.type.toLowerCase(),
+      points: numberField('points', false),
+      passingScore: numberField('passingScore', false),
+      timeLimit: numberField('timeLimit', true),
+      attempts: numberField('attempts', true),
+      proctored: undefined
+    };
+    if (metadata.type && !['quiz', 'exam'].includes(metadata.type)) {
+      fail('type', `"${values.type}" must be quiz or exam`);
+    }
+    if (values.proctored !== undefined) {
+      metadata.proctored = BOOLEAN_VALUES[values.proctored.toLowerCase()];
+      if (metadata.proctored === undefined) {
+        fail('proctored', `"${values.proctored}" is not yes/no or true/false`);
+      }
+    }
+    const moduleTitles = (values.module || '').split(MODULE_PATH_SEPARATOR).map(title => title.trim()).filter(Boolean);
+    if (values.module && moduleTitles.length === 0) {
+      fail('module', `"${values.module}" names no module`);
+    }
+    if (!values.assessmentUrl) {
+      ASSESSMENT_COLUMNS
+        .filter(field => values[field] !== undefined)
+        .forEach(field => fail(field, 'is set but assessmentUrl is empty'));
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const { module, modulePath } = findModule(moduleTitles);
+
+    const item = {
+      title: values.title,
+      launchUrl: values.launchUrl
+    };
+    if (values.assessmentUrl) {
+      item.assessmentUrl = values.assessmentUrl;
+      if (values.assessmentTitle) {
+        item.assessmentTitle = values.assessmentTitle;
+      }
+      const assessmentMetadata = Object.keys(metadata)
+        .filter(key => metadata[key] !== undefined)
+        .reduce((result, key) => ({ ...result, [key]: metadata[key] }), {});
+      if (Object.keys(assessmentMetadata).length > 0) {
+        item.assessmentMetadata = assessmentMetadata;
+      }
+    }
+
+    module.children.push(item);
+    rowsByPath.push({ path: `${modulePath}[${module.children.length - 1}]`, row });
+  });
+
+  // Anything the course schema still rejects (e.g. malformed URLs) is reported by row
+  validateCourse(course).forEach(error => {
+    const match = rowsByPath.find(({ path }) => error.path === path || error.path.startsWith(`${path}.`));
+    const column = match ? error.path.slice(match.path.length + 1).split('.').pop() : undefined;
+    errors.push({
+      row: match ? match.row : header.info.lines,
+      column: column || undefined,
+      message: match ? error.message : `${error.path}: ${error.message}`
+    });
+  });
+
+  if (errors.length > 0) {
+    errors.sort((a, b) => a.row - b.row);
+    throw new CsvImportError(errors);
+  }
+
+  return course;
+}
+
+module.exports = {
+  importCourseCsv,
+  CsvImportError
+};
@@ -0,0 +1,45 @@
+// Logger used when the caller does not supply one
+const CONSOLE_LOGGER = {
+  info: message => console.log(message),
+  warn: message => console.warn(message)
+};
+
+/**
+ * Creates the channel generation steps report progress through: events go to the
+ * caller's EventEmitter, messages to its logger
+ * @param {Object} options - Generation options
+ * @param {EventEmitter} options.events - Receives item-generated, resource-written,
+ *   zip-progress, warning and done events
+ * @param {Object} options.logger - Object with info(message) and warn(message) methods
+ *   (default: the console)
+ * @param {boolean} options.quiet - Send nothing to the logger; events are still emitted
+ * @returns {Object} - { emit(event, details), info(message), warn(message, error) }
+ */
+function createReporter(options = {}) {
+  const logger = options.logger || CONSOLE_LOGGER;
+
+  const emit = (event, details) => {
+    if (options.events) {
+      options.events.emit(event, details);
+    }
+  };
+
+  return {
+    emit,
+    info(message) {
+      if (!options.quiet) {
+        logger.info(message);
+      }
+    },
+    warn(message, error) {
+      emit('warning', { message, error });
+      if (!options.quiet) {
+        logger.warn(message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createReporter
+};
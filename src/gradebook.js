@@ -0,0 +1,104 @@
+const { hashId } = require('./identifiers');
+
+// Time of day used for relative dates that do not give one
+const DEFAULT_TIMES = {
+  dueAt: '23:59',
+  unlockAt: '00:00',
+  lockAt: '23:59'
+};
+
+// Assessment metadata fields holding dates
+const DATE_FIELDS = Object.keys(DEFAULT_TIMES);
+
+/**
+ * Derives the identifier of an assignment group from its name
+ * @param {string} name - Assignment group name
+ * @returns {string} - The group identifier
+ */
+function assignmentGroupId(name) {
+  return hashId('G_', [name]);
+}
+
+/**
+ * Turns an assessment date into an ISO date-time
+ * @param {string|Object} value - An ISO date or date-time, or { days, time } relative to the course start
+ * @param {string} startDate - The course start date (ISO date or date-time), needed for relative dates
+ * @param {string} defaultTime - Time of day ("HH:MM") for relative dates without one
+ * @returns {string} - The date-time; relative dates keep the time zone offset of the start date
+ */
+function resolveDate(value, startDate, defaultTime = '00:00') {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  // Day arithmetic on the calendar date only, so the offset never shifts the day
+  const [, datePart, offset = ''] = startDate.match(/^(\d{4}-\d{2}-\d{2})(?:T[^Zz+-]*)?(Z|[+-]\d{2}:\d{2})?$/i);
+  const date = new Date(`${datePart}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + value.days);
+
+  return `${date.toISOString().slice(0, 10)}T${value.time || defaultTime}:00${offset}`;
+}
+
+/**
+ * Resolves the dates of an item's assessment metadata against the course start date
+ * @param {Object} metadata - Assessment metadata from the course JSON
+ * @param {Object} courseData - The course, for its startDate
+ * @returns {Object} - A copy of the metadata with every date as an ISO date-time
+ */
+function resolveAssessmentDates(metadata = {}, courseData = {}) {
+  return DATE_FIELDS
+    .filter(field => metadata[field] !== undefined)
+    .reduce((resolved, field) => ({
+      ...resolved,
+      [field]: resolveDate(metadata[field], courseData.startDate, DEFAULT_TIMES[field])
+    }), metadata);
+}
+
+/**
+ * Finds gradebook references the course schema cannot check: assignment groups that
+ * are not defined and relative dates in a course without a start date
+ * @param {Object} courseData - Course structure in JSON format, already valid against the schema
+ * @returns {Array<Object>} - Problems as { path, message }
+ */
+function gradebookErrors(courseData) {
+  const errors = [];
+  const groupNames = (courseData.assignmentGroups || []).map(group => group.name);
+
+  groupNames.forEach((name, index) => {
+    if (groupNames.indexOf(name) !== index) {
+      errors.push({ path: `assignmentGroups[${index}].name`, message: `duplicates assignment group "${name}"` });
+    }
+  });
+
+  function checkItems(items, itemsPath) {
+    items.forEach((item, index) => {
+      const itemPath = `${itemsPath}[${index}]`;
+      const metadata = item.assessmentMetadata || {};
+
+      if (metadata.assignmentGroup !== undefined && !groupNames.includes(metadata.assignmentGroup)) {
+        errors.push({
+          path: `${itemPath}.assessmentMetadata.assignmentGroup`,
+          message: `"${metadata.assignmentGroup}" is not one of the course's assignmentGroups`
+        });
+      }
+      DATE_FIELDS
+        .filter(field => metadata[field] && typeof metadata[field] === 'object' && !courseData.startDate)
+        .forEach(field => {
+          errors.push({ path: `${itemPath}.assessmentMetadata.${field}`, message: 'is relative, which requires the course startDate' });
+        });
+
+      if (item.children) {
+        checkItems(item.children, `${itemPath}.children`);
+      }
+    });
+  }
+  checkItems(courseData.modules || [], 'modules');
+
+  return errors;
+}
+
+module.exports = {
+  assignmentGroupId,
+  resolveAssessmentDates,
+  gradebookErrors
+};
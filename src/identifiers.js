@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Separator for the parts of a hash key (a control character that never appears in titles)
+const KEY_SEPARATOR = '\u001f';
+
+// Identifiers the generator uses for fixed elements of the manifest
+const RESERVED_IDENTIFIERS = ['root'];
+
+/**
+ * Error raised when two items in a course would receive the same identifier
+ */
+class IdentifierCollisionError extends Error {
+  /**
+   * @param {string} identifier - The identifier that is already in use
+   * @param {string} description - What was being identified, for the message
+   */
+  constructor(identifier, description) {
+    super(`Identifier "${identifier}" for ${description} is already in use`);
+    this.name = 'IdentifierCollisionError';
+    this.identifier = identifier;
+  }
+}
+
+/**
+ * Derives a stable identifier from a list of key parts
+ * @param {string} prefix - Prefix for the identifier (e.g. "I_")
+ * @param {Array<string>} parts - Values that identify the object, such as its title path
+ * @returns {string} - The prefix followed by 12 hex characters of a SHA-1 hash
+ */
+function hashId(prefix, parts) {
+  const hash = crypto.createHash('sha1').update(parts.join(KEY_SEPARATOR)).digest('hex');
+  return `${prefix}${hash.slice(0, 12)}`;
+}
+
+/**
+ * Creates an identifier generator for a single manifest. Identifiers are derived
+ * from the module path and title of each item (or taken from its explicit id), so
+ * they stay the same across rebuilds; the generator only remembers which ones it
+ * has handed out, so every generation run gets its own.
+ * @returns {Object} - Generator with itemId(titlePath, explicitId) and resourceId(itemIdentifier) methods
+ */
+function createIdGenerator() {
+  const usedIdentifiers = new Set(RESERVED_IDENTIFIERS);
+  const usedFolders = new Set();
+  const occurrences = new Map();
+
+  // Records an identifier, failing if it or its folder name is taken
+  function claim(identifier, description) {
+    const folderName = identifier.toLowerCase();
+    if (usedIdentifiers.has(identifier) || usedFolders.has(folderName)) {
+      throw new IdentifierCollisionError(identifier, description);
+    }
+    usedIdentifiers.add(identifier);
+    usedFolders.add(folderName);
+    return identifier;
+  }
+
+  /**
+   * Returns the identifier for an organization item
+   * @param {Array<string>} titlePath - Titles from the top-level module down to the item
+   * @param {string} explicitId - Optional id from the course JSON, used verbatim
+   * @returns {string} - The item identifier
+   */
+  function itemId(titlePath, explicitId) {
+    const description = `"${titlePath.join(' > ')}"`;
+    if (explicitId) {
+      return claim(explicitId, description);
+    }
+
+    // Items sharing a title under the same parent are numbered in order of appearance
+    const key = titlePath.join(KEY_SEPARATOR);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+
+    const parts = occurrence > 0 ? [...titlePath, String(occurrence)] : titlePath;
+    return claim(hashId('I_', parts), description);
+  }
+
+  /**
+   * Returns the identifier of the resource an item points to
+   * @param {string} itemIdentifier - Identifier of the item
+   * @returns {string} - The resource identifier
+   */
+  function resourceId(itemIdentifier) {
+    const identifier = `${itemIdentifier}_R`;
+    if (usedIdentifiers.has(identifier)) {
+      throw new IdentifierCollisionError(identifier, `the resource of ${itemIdentifier}`);
+    }
+    usedIdentifiers.add(identifier);
+    return identifier;
+  }
+
+  return {
+    itemId,
+    resourceId
+  };
+}
+
+module.exports = {
+  createIdGenerator,
+  hashId,
+  IdentifierCollisionError
+};
@@ -0,0 +1,169 @@
+const { validateCourse, CourseValidationError } = require('./cartridgeGenerator');
+const { loadCourseSource } = require('./courseLoader');
+const { localize } = require('./localization');
+const { toolBlocks, resolveTool } = require('./toolConfig');
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_TIMEOUT = 10000;
+
+// Statuses of a HEAD request that say nothing about the URL, so it is retried with GET
+const RETRY_WITH_GET = [405, 501];
+
+/**
+ * Reads the course to check
+ * @param {string|Buffer|Object} source - A .imscc path or Buffer, a course file path, or course data
+ * @returns {Promise<Object>} - Course data
+ */
+async function loadCourse(source) {
+  const { courseData, packaged } = await loadCourseSource(source);
+  if (packaged) {
+    return courseData;
+  }
+
+  const errors = validateCourse(courseData);
+  if (errors.length > 0) {
+    throw new CourseValidationError(errors);
+  }
+  return courseData;
+}
+
+/**
+ * Lists every URL a course launches or that a platform contacts for it
+ * @param {Object} courseData - Course data
+ * @returns {Array<Object>} - Entries of { path, id, kind, url } in tree order, where kind is
+ *   "launch", "link", "assessment", "jwks" or "oidc"
+ */
+function collectLinks(courseData) {
+  const links = [];
+  const language = courseData.language;
+
+  // Assessments are LTI 1.3 launches, so platforms also fetch the tool's keys and login URL
+  function addAssessment(entry, url, tools) {
+    const tool = resolveTool(url, ...tools);
+    links.push(
+      { ...entry, kind: 'assessment', url },
+      { ...entry, kind: 'jwks', url: tool.jwksUrl },
+      { ...entry, kind: 'oidc', url: tool.oidcLoginUrl }
+    );
+  }
+
+  function walk(items, parentPath, parentTools) {
+    items.forEach(item => {
+      const titlePath = [...parentPath, localize(item.title, language)];
+      const tools = [...parentTools, ...toolBlocks(item)];
+      const entry = { path: titlePath, id: item.id };
+
+      if (item.type === 'assessment') {
+        addAssessment(entry, item.launchUrl, tools);
+      } else if (item.launchUrl) {
+        links.push({ ...entry, kind: 'launch', url: item.launchUrl });
+      }
+      if (item.url) {
+        links.push({ ...entry, kind: 'link', url: item.url });
+      }
+      if (item.assessmentUrl) {
+        addAssessment({ ...entry, id: item.assessmentId || item.id }, item.assessmentUrl, tools);
+      }
+
+      walk(item.children || [], titlePath, tools);
+    });
+  }
+  walk(courseData.modules || [], [], toolBlocks(courseData));
+
+  return links;
+}
+
+/**
+ * Points a URL at another host when it starts with one of the rewritten base URLs
+ * @param {string} url - URL from the course
+ * @param {Object} rewrite - Replacement base URLs keyed by the base URL they replace
+ * @returns {string} - The URL to request
+ */
+function rewriteUrl(url, rewrite = {}) {
+  const base = Object.keys(rewrite)
+    .sort((a, b) => b.length - a.length)
+    .find(prefix => url.startsWith(prefix));
+  return base ? `${rewrite[base]}${url.slice(base.length)}` : url;
+}
+
+/**
+ * Requests a URL, with HEAD first and GET when the server does not answer HEAD
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Milliseconds before a request is abandoned
+ * @param {Function} options.fetch - fetch implementation
+ * @returns {Promise<Object>} - { status, ok } or { error, ok: false }
+ */
+async function requestUrl(url, { timeout, fetch }) {
+  const request = async (method) => {
+    const response = await fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    if (response.body && typeof response.body.cancel === 'function') {
+      await response.body.cancel();
+    }
+    return response.status;
+  };
+
+  try {
+    let status = await request('HEAD');
+    if (RETRY_WITH_GET.includes(status)) {
+      status = await request('GET');
+    }
+
+    // LTI launch endpoints often accept only POST; a 405 still shows the endpoint exists
+    return { status, ok: status < 400 || status === 405 };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `timed out after ${timeout} ms` : (err.cause || err).message;
+    return { error, ok: false };
+  }
+}
+
+/**
+ * Checks that every launch, assessment, web link, JWKS and OIDC login URL of a course
+ * answers. Each distinct URL is requested once, with a HEAD request (GET when HEAD is
+ * not supported); statuses below 400, and 405 from endpoints that only take POST, count
+ * as reachable.
+ * @param {string|Buffer|Object} course - A .imscc path or Buffer, a course file path, or course data
+ * @param {Object} options - Check options
+ * @param {number} options.concurrency - Requests in flight at once (default 8)
+ * @param {number} options.timeout - Milliseconds before a request is abandoned (default 10000)
+ * @param {Object} options.rewrite - Replacement base URLs keyed by the base URL they replace,
+ *   e.g. { "https://lti.example.com": "http://localhost:3000" } to check a local stand-in
+ * @param {Function} options.fetch - fetch implementation (default: the global fetch)
+ * @returns {Promise<Object>} - { ok, summary, links }; each link is { path, id, kind, url,
+ *   checkedUrl, ok } plus the response `status` or the request `error`
+ */
+async function checkLinks(course, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const requestOptions = {
+    timeout: options.timeout || DEFAULT_TIMEOUT,
+    fetch: options.fetch || fetch
+  };
+
+  const courseData = await loadCourse(course);
+  const links = collectLinks(courseData).map(link => ({ ...link, checkedUrl: rewriteUrl(link.url, options.rewrite) }));
+
+  // Request each distinct URL once, a fixed number at a time
+  const urls = [...new Set(links.map(link => link.checkedUrl))];
+  const results = new Map();
+  let next = 0;
+  async function worker() {
+    while (next < urls.length) {
+      const url = urls[next++];
+      results.set(url, await requestUrl(url, requestOptions));
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+  const checked = links.map(link => ({ ...link, ...results.get(link.checkedUrl) }));
+  const failed = [...results.values()].filter(result => !result.ok).length;
+
+  return {
+    ok: failed === 0,
+    summary: { urls: urls.length, ok: urls.length - failed, failed },
+    links: checked
+  };
+}
+
+module.exports = {
+  checkLinks
+};
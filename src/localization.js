@@ -0,0 +1,53 @@
+// Language of course text that does not say otherwise
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Picks the text to show for a string or language map
+ * @param {string|Object} value - A plain string, or strings keyed by language code
+ * @param {...string} languages - Languages to try in order of preference
+ * @returns {string} - The first preferred language present, else the map's first entry
+ */
+function localize(value, ...languages) {
+  if (value === undefined || value === null || typeof value === 'string') {
+    return value;
+  }
+
+  const language = languages.find(candidate => candidate && value[candidate] !== undefined);
+  return language ? value[language] : Object.values(value)[0];
+}
+
+/**
+ * Lists the translations of a string or language map
+ * @param {string|Object} value - A plain string, or strings keyed by language code
+ * @param {string} language - Language of a plain string
+ * @returns {Array<Object>} - Entries of { language, text }
+ */
+function translations(value, language = DEFAULT_LANGUAGE) {
+  if (value === undefined || value === null || typeof value === 'string') {
+    return [{ language, text: value || '' }];
+  }
+  return Object.keys(value).map(key => ({ language: key, text: value[key] }));
+}
+
+/**
+ * Turns translations back into a string or language map
+ * @param {Array<Object>} entries - Entries of { language, text }
+ * @param {string} language - Language a single entry may be in to stay a plain string
+ * @returns {string|Object} - A plain string for one entry in that language, otherwise a language map
+ */
+function fromTranslations(entries, language = DEFAULT_LANGUAGE) {
+  if (entries.length === 0) {
+    return '';
+  }
+  if (entries.length === 1 && (!entries[0].language || entries[0].language === language)) {
+    return entries[0].text;
+  }
+  return entries.reduce((map, entry) => ({ ...map, [entry.language]: entry.text }), {});
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  localize,
+  translations,
+  fromTranslations
+};
@@ -0,0 +1,269 @@
+const { element, textElement } = require('./xmlBuilder');
+const { childElements, textContent } = require('./xmlReader');
+const { translations, fromTranslations } = require('./localization');
+
+// Vocabulary source of the LOM values below
+const LOM_SOURCE = 'LOMv1.0';
+
+// Classification purposes for the course JSON fields that list taxa
+const CLASSIFICATIONS = {
+  subjects: 'discipline',
+  gradeLevels: 'educational level'
+};
+
+/**
+ * Builds the <string> elements of a LOM language string
+ * @param {string} prefix - Namespace prefix of the LOM elements ("lomimscc" or "lom")
+ * @param {string|Object} value - A plain string, or strings keyed by language code
+ * @param {string} language - Language of a plain string
+ * @returns {Array<Object>} - One string element per language
+ */
+function lomStrings(prefix, value, language) {
+  return translations(value, language).map(translation =>
+    textElement(`${prefix}:string`, translation.text, { language: translation.language })
+  );
+}
+
+/**
+ * Builds a LOM vocabulary element
+ * @param {string} prefix - Namespace prefix of the LOM elements
+ * @param {string} name - Element name (e.g. "role")
+ * @param {string} value - Vocabulary value (e.g. "author")
+ * @returns {Object} - The element with its source and value
+ */
+function vocabulary(prefix, name, value) {
+  return element(`${prefix}:${name}`, {}, [
+    textElement(`${prefix}:source`, LOM_SOURCE),
+    textElement(`${prefix}:value`, value)
+  ]);
+}
+
+/**
+ * Escapes a vCard property value
+ * @param {string} value - Text to escape
+ * @returns {string} - The value with backslashes, commas, semicolons and newlines escaped
+ */
+function escapeVCard(value) {
+  return String(value).replace(/[\\,;]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+/**
+ * Describes a contributor as the vCard LOM expects for a contribution entity
+ * @param {Object} contributor - Contributor from the course JSON
+ * @returns {string} - The vCard
+ */
+function contributorVCard(contributor) {
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCard(contributor.name)}`,
+    contributor.organization && `ORG:${escapeVCard(contributor.organization)}`,
+    contributor.email && `EMAIL;TYPE=INTERNET:${contributor.email}`,
+    'END:VCARD'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Builds the keyword elements of a LOM general section
+ * @param {string} prefix - Namespace prefix of the LOM elements
+ * @param {Object} metadata - The metadata section of a course or item
+ * @param {string} language - Language of plain strings
+ * @returns {Array<Object>} - One keyword element per keyword
+ */
+function lomKeywords(prefix, metadata = {}, language) {
+  return (metadata.keywords || []).map(keyword =>
+    element(`${prefix}:keyword`, {}, lomStrings(prefix, keyword, language))
+  );
+}
+
+/**
+ * Builds the LOM sections after general: life cycle (version and contributors),
+ * educational context, rights and classifications (subjects and grade levels)
+ * @param {string} prefix - Namespace prefix of the LOM elements
+ * @param {Object} metadata - The metadata section of a course or item
+ * @param {string} language - Language of plain strings
+ * @returns {Array<Object>} - The sections that have content, in LOM order
+ */
+function lomSections(prefix, metadata = {}, language) {
+  const contributors = metadata.contributors || [];
+  const lifeCycle = (metadata.version || contributors.length > 0) && element(`${prefix}:lifeCycle`, {}, [
+    metadata.version && element(`${prefix}:version`, {}, lomStrings(prefix, metadata.version, language)),
+    ...contributors.map(contributor => element(`${prefix}:contribute`, {}, [
+      vocabulary(prefix, 'role', contributor.role),
+      textElement(`${prefix}:entity`, contributorVCard(contributor)),
+      contributor.date && element(`${prefix}:date`, {}, [textElement(`${prefix}:dateTime`, contributor.date)])
+    ]))
+  ]);
+
+  const educational = (metadata.educationalContext || metadata.typicalAgeRange) && element(`${prefix}:educational`, {}, [
+    metadata.educationalContext && vocabulary(prefix, 'context', metadata.educationalContext),
+    metadata.typicalAgeRange && element(`${prefix}:typicalAgeRange`, {}, lomStrings(prefix, metadata.typicalAgeRange, language))
+  ]);
+
+  const { rights: rightsData } = metadata;
+  const rights = rightsData && element(`${prefix}:rights`, {}, [
+    rightsData.cost !== undefined && vocabulary(prefix, 'cost', rightsData.cost ? 'yes' : 'no'),
+    vocabulary(prefix, 'copyrightAndOtherRestrictions', rightsData.copyright === false ? 'no' : 'yes'),
+    rightsData.description && element(`${prefix}:description`, {}, lomStrings(prefix, rightsData.description, language))
+  ]);
+
+  // One classification per purpose, with a taxon path per subject or grade level
+  const classifications = Object.keys(CLASSIFICATIONS)
+    .filter(field => (metadata[field] || []).length > 0)
+    .map(field => element(`${prefix}:classification`, {}, [
+      vocabulary(prefix, 'purpose', CLASSIFICATIONS[field]),
+      ...metadata[field].map(taxon => {
+        const { source, id, name } = typeof taxon === 'string' ? { name: taxon } : taxon;
+        return element(`${prefix}:taxonPath`, {}, [
+          source && element(`${prefix}:source`, {}, lomStrings(prefix, source, language)),
+          element(`${prefix}:taxon`, {}, [
+            id && textElement(`${prefix}:id`, id),
+            element(`${prefix}:entry`, {}, lomStrings(prefix, name, language))
+          ])
+        ]);
+      })
+    ]));
+
+  return [lifeCycle, educational, rights, ...classifications].filter(Boolean);
+}
+
+/**
+ * Reads a LOM language string back into a string or language map
+ * @param {Object} field - Parsed element holding <string> children, or undefined
+ * @param {string} language - Language a single string may be in to stay a plain string
+ * @returns {string|Object} - The text, "" when the field is missing
+ */
+function parseLomString(field, language) {
+  const strings = field ? childElements(field, 'string') : [];
+  return fromTranslations(strings.map(string => ({
+    language: (string.attributes || {}).language,
+    text: textContent(string)
+  })), language);
+}
+
+/**
+ * Reads the value of a LOM vocabulary element
+ * @param {Object} parent - Parsed parent element
+ * @param {string} name - Local name of the vocabulary element
+ * @returns {string|undefined} - The value, undefined when the element is missing
+ */
+function vocabularyValue(parent, name) {
+  const [field] = parent ? childElements(parent, name) : [];
+  return field ? textContent(childElements(field, 'value')[0]) : undefined;
+}
+
+/**
+ * Reads a contributor back from a LOM contribution
+ * @param {Object} contribute - Parsed <contribute> element
+ * @returns {Object} - Contributor in the course JSON shape
+ */
+function parseContributor(contribute) {
+  const vCard = textContent(childElements(contribute, 'entity')[0]);
+  const unescape = value => value.replace(/\\n/g, '\n').replace(/\\([\\,;])/g, '$1');
+  const property = (name) => {
+    const line = vCard.split(/\r?\n/).find(candidate => candidate.split(/[;:]/)[0].toUpperCase() === name);
+    return line ? unescape(line.slice(line.indexOf(':') + 1)) : undefined;
+  };
+  const [date] = childElements(contribute, 'date');
+
+  const contributor = {
+    role: vocabularyValue(contribute, 'role') || 'author',
+    name: property('FN') || ''
+  };
+  if (property('ORG')) {
+    contributor.organization = property('ORG');
+  }
+  if (property('EMAIL')) {
+    contributor.email = property('EMAIL');
+  }
+  if (date) {
+    contributor.date = textContent(childElements(date, 'dateTime')[0]);
+  }
+  return contributor;
+}
+
+/**
+ * Reads the metadata section of a course or item back from a LOM block
+ * @param {Object} lom - Parsed <lom> element
+ * @param {string} language - Course language, for plain strings
+ * @returns {Object} - Metadata in the course JSON shape, empty when the block has none
+ */
+function parseLomMetadata(lom, language) {
+  const section = name => childElements(lom, name)[0];
+  const metadata = {};
+
+  const [general, lifeCycle, educational, rights] = ['general', 'lifeCycle', 'educational', 'rights'].map(section);
+  const keywords = general ? childElements(general, 'keyword') : [];
+  if (keywords.length > 0) {
+    metadata.keywords = keywords.map(keyword => parseLomString(keyword, language));
+  }
+
+  if (lifeCycle) {
+    const [version] = childElements(lifeCycle, 'version');
+    const contributors = childElements(lifeCycle, 'contribute').map(parseContributor);
+    if (version) {
+      metadata.version = parseLomString(version, language);
+    }
+    if (contributors.length > 0) {
+      metadata.contributors = contributors;
+    }
+  }
+
+  if (educational) {
+    const context = vocabularyValue(educational, 'context');
+    const [ageRange] = childElements(educational, 'typicalAgeRange');
+    if (context) {
+      metadata.educationalContext = context;
+    }
+    if (ageRange) {
+      metadata.typicalAgeRange = parseLomString(ageRange, language);
+    }
+  }
+
+  if (rights) {
+    const cost = vocabularyValue(rights, 'cost');
+    const [description] = childElements(rights, 'description');
+    metadata.rights = { copyright: vocabularyValue(rights, 'copyrightAndOtherRestrictions') !== 'no' };
+    if (cost) {
+      metadata.rights.cost = cost === 'yes';
+    }
+    if (description) {
+      metadata.rights.description = parseLomString(description, language);
+    }
+  }
+
+  childElements(lom, 'classification').forEach(classification => {
+    const purpose = vocabularyValue(classification, 'purpose');
+    const field = Object.keys(CLASSIFICATIONS).find(name => CLASSIFICATIONS[name] === purpose);
+    if (!field) {
+      return;
+    }
+
+    metadata[field] = childElements(classification, 'taxonPath').map(taxonPath => {
+      const [source] = childElements(taxonPath, 'source');
+      const [taxon] = childElements(taxonPath, 'taxon');
+      const [id] = taxon ? childElements(taxon, 'id') : [];
+      const name = parseLomString(taxon && childElements(taxon, 'entry')[0], language);
+
+      // Taxa with only a plain name read back as strings
+      if (!source && !id && typeof name === 'string') {
+        return name;
+      }
+      return {
+        ...(source && { source: parseLomString(source, language) }),
+        ...(id && { id: textContent(id) }),
+        name
+      };
+    });
+  });
+
+  return metadata;
+}
+
+module.exports = {
+  lomStrings,
+  lomKeywords,
+  lomSections,
+  parseLomString,
+  parseLomMetadata
+};
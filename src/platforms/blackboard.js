@@ -0,0 +1,57 @@
+/**
+ * Blackboard Learn adapter. Blackboard adds a grade center column for
+ * assessment links and can open any link in a new window.
+ */
+module.exports = {
+  name: 'blackboard',
+  platform: 'blackboard.com',
+
+  /**
+   * Lists the Blackboard extension properties for a link
+   * @param {Object} link - Link being generated
+   * @param {boolean} link.isAssessment - Whether the link is a graded assessment
+   * @param {Object} link.metadata - Assessment metadata from the course JSON
+   * @param {Object} link.tool - Tool configuration from resolveTool
+   * @returns {Array<Object>} - Properties as { name, value }
+   */
+  properties({ isAssessment, metadata = {}, tool }) {
+    const properties = [];
+
+    if (tool.display) {
+      properties.push({ name: 'open_in_new_window', value: tool.display === 'newWindow' ? 'true' : 'false' });
+    }
+
+    if (isAssessment) {
+      properties.push(
+        { name: 'grade_column_enabled', value: 'true' },
+        { name: 'points_possible', value: metadata.points || 10 }
+      );
+      if (metadata.attempts) {
+        properties.push({ name: 'attempts_allowed', value: metadata.attempts });
+      }
+      if (metadata.timeLimit) {
+        properties.push({ name: 'time_limit', value: metadata.timeLimit });
+      }
+    }
+
+    return properties;
+  },
+
+  /**
+   * Reads back the settings written by properties()
+   * @param {Object} properties - Property values of the Blackboard extension block keyed by name
+   * @returns {Object} - { metadata, tool } with the assessment metadata and tool fields found
+   */
+  parse(properties) {
+    return {
+      metadata: {
+        points: properties.points_possible && Number(properties.points_possible),
+        attempts: properties.attempts_allowed && Number(properties.attempts_allowed),
+        timeLimit: properties.time_limit && Number(properties.time_limit)
+      },
+      tool: {
+        display: properties.open_in_new_window && (properties.open_in_new_window === 'true' ? 'newWindow' : 'embed')
+      }
+    };
+  }
+};
@@ -0,0 +1,165 @@
+const { element, textElement, toXml } = require('../xmlBuilder');
+const { assignmentGroupId } = require('../gradebook');
+
+// Namespace of Canvas' own course export files
+const CANVAS_NAMESPACES = {
+  xmlns: 'http://canvas.instructure.com/xsd/cccv1p0',
+  'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+  'xsi:schemaLocation': 'http://canvas.instructure.com/xsd/cccv1p0 https://canvas.instructure.com/xsd/cccv1p0.xsd'
+};
+
+// Canvas names for the course JSON grading types
+const GRADING_TYPES = {
+  points: 'points',
+  percent: 'percent',
+  passFail: 'pass_fail'
+};
+
+/**
+ * Canvas LMS adapter. Canvas reads the LTI 1.3 settings and assignment options
+ * of assessment links from its own extension block; content links only carry
+ * their launch target when deep linking is on. Assignment groups and the course
+ * start date go into the course_settings files of a Canvas export.
+ */
+module.exports = {
+  name: 'canvas',
+  platform: 'canvas.instructure.com',
+
+  /**
+   * Lists the Canvas extension properties for a link
+   * @param {Object} link - Link being generated
+   * @param {boolean} link.isAssessment - Whether the link is a graded assessment
+   * @param {Object} link.metadata - Assessment metadata from the course JSON
+   * @param {Object} link.tool - Tool configuration from resolveTool
+   * @returns {Array<Object>} - Properties as { name, value } or { name, properties } for groups
+   */
+  properties({ isAssessment, metadata = {}, tool }) {
+    if (!isAssessment) {
+      // With deep linking, content links name their own launch target too
+      return tool.deepLinking ? [{ name: 'target_link_uri', value: tool.targetLinkUri }] : [];
+    }
+
+    const properties = [
+      { name: 'tool_id', value: tool.toolId },
+      { name: 'privacy_level', value: tool.privacyLevel },
+      { name: 'lti_1_3_enabled', value: 'true' },
+      tool.clientId && { name: 'client_id', value: tool.clientId },
+      tool.deploymentId && { name: 'deployment_id', value: tool.deploymentId },
+      tool.targetLinkUri && { name: 'target_link_uri', value: tool.targetLinkUri },
+      { name: 'public_jwk_url', value: tool.jwksUrl },
+      { name: 'assignment_enabled', value: 'true' },
+      { name: 'assignment_points_possible', value: metadata.points || 10 }
+    ];
+
+    // Add specific assessment properties from metadata
+    if (metadata.timeLimit) {
+      properties.push({ name: 'time_limit', value: metadata.timeLimit });
+    }
+    if (metadata.attempts) {
+      properties.push({ name: 'allowed_attempts', value: metadata.attempts });
+    }
+    if (metadata.proctored) {
+      properties.push({ name: 'proctoring_enabled', value: 'true' });
+    }
+    if (metadata.passingScore) {
+      properties.push({ name: 'passing_score', value: metadata.passingScore });
+    }
+    if (metadata.gradingType) {
+      properties.push({ name: 'grading_type', value: GRADING_TYPES[metadata.gradingType] });
+    }
+    if (metadata.assignmentGroup) {
+      properties.push({ name: 'assignment_group_identifierref', value: assignmentGroupId(metadata.assignmentGroup) });
+    }
+    ['dueAt', 'unlockAt', 'lockAt']
+      .filter(field => metadata[field])
+      .forEach(field => {
+        properties.push({ name: field.replace(/At$/, '_at').toLowerCase(), value: metadata[field] });
+      });
+
+    properties.push({
+      name: 'settings',
+      properties: [
+        { name: 'oidc_initiation_url', value: tool.oidcLoginUrl }
+      ]
+    });
+
+    return properties.filter(Boolean);
+  },
+
+  /**
+   * Builds the course_settings files Canvas reads the gradebook setup from
+   * @param {Object} course - The course being generated
+   * @param {string} course.id - Manifest identifier
+   * @param {string} course.title - Course title
+   * @param {string} course.startDate - Course start date
+   * @param {Array<Object>} course.assignmentGroups - Groups as { name, weight }
+   * @returns {Object} - File contents keyed by path in the package, empty when there is nothing to set
+   */
+  courseFiles({ id, title, startDate, assignmentGroups = [] }) {
+    if (!startDate && assignmentGroups.length === 0) {
+      return {};
+    }
+
+    const weighted = assignmentGroups.some(group => group.weight !== undefined);
+    const files = {
+      // Canvas recognises its own export format by this file
+      'course_settings/canvas_export.txt': 'Canvas course settings generated with the course cartridge.\n',
+      'course_settings/course_settings.xml': toXml(element('course', { ...CANVAS_NAMESPACES, identifier: id }, [
+        textElement('title', title),
+        startDate && textElement('start_at', startDate),
+        textElement('group_weighting_scheme', weighted ? 'percent' : 'equal')
+      ]))
+    };
+
+    if (assignmentGroups.length > 0) {
+      files['course_settings/assignment_groups.xml'] = toXml(element('assignmentGroups', CANVAS_NAMESPACES,
+        assignmentGroups.map((group, index) =>
+          element('assignmentGroup', { identifier: assignmentGroupId(group.name) }, [
+            textElement('title', group.name),
+            textElement('position', index + 1),
+            group.weight !== undefined && textElement('group_weight', group.weight)
+          ])
+        )
+      ));
+    }
+
+    return files;
+  },
+
+  /**
+   * Reads back the settings written by properties()
+   * @param {Object} properties - Property values of the Canvas extension block keyed by name,
+   *   with the nested settings group flattened
+   * @param {Object} context - Course-level details the properties refer to
+   * @param {Object} context.groupNames - Assignment group names keyed by identifier
+   * @returns {Object} - { metadata, tool } with the assessment metadata and tool fields found
+   */
+  parse(properties, { groupNames = {} } = {}) {
+    const number = name => properties[name] && Number(properties[name]);
+    const gradingType = Object.keys(GRADING_TYPES).find(type => GRADING_TYPES[type] === properties.grading_type);
+
+    return {
+      metadata: {
+        points: number('assignment_points_possible'),
+        passingScore: number('passing_score'),
+        timeLimit: number('time_limit'),
+        attempts: number('allowed_attempts'),
+        proctored: properties.proctoring_enabled === 'true' || undefined,
+        gradingType: gradingType || properties.grading_type,
+        assignmentGroup: groupNames[properties.assignment_group_identifierref],
+        dueAt: properties.due_at,
+        unlockAt: properties.unlock_at,
+        lockAt: properties.lock_at
+      },
+      tool: {
+        toolId: properties.tool_id,
+        privacyLevel: properties.privacy_level,
+        clientId: properties.client_id,
+        deploymentId: properties.deployment_id,
+        targetLinkUri: properties.target_link_uri,
+        jwksUrl: properties.public_jwk_url,
+        oidcLoginUrl: properties.oidc_initiation_url
+      }
+    };
+  }
+};
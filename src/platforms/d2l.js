@@ -0,0 +1,53 @@
+/**
+ * D2L Brightspace adapter. Brightspace creates a grade item for links that
+ * carry a maximum score and honours the new-window flag on every link.
+ */
+module.exports = {
+  name: 'd2l',
+  platform: 'desire2learn.com',
+
+  /**
+   * Lists the Brightspace extension properties for a link
+   * @param {Object} link - Link being generated
+   * @param {boolean} link.isAssessment - Whether the link is a graded assessment
+   * @param {Object} link.metadata - Assessment metadata from the course JSON
+   * @param {Object} link.tool - Tool configuration from resolveTool
+   * @returns {Array<Object>} - Properties as { name, value }
+   */
+  properties({ isAssessment, metadata = {}, tool }) {
+    const properties = [];
+
+    if (tool.display) {
+      properties.push({ name: 'open_in_new_window', value: tool.display === 'newWindow' ? 'true' : 'false' });
+    }
+
+    if (isAssessment) {
+      properties.push(
+        { name: 'grade_item_enabled', value: 'true' },
+        { name: 'grade_item_max_points', value: metadata.points || 10 }
+      );
+      if (metadata.passingScore) {
+        properties.push({ name: 'grade_item_passing_score', value: metadata.passingScore });
+      }
+    }
+
+    return properties;
+  },
+
+  /**
+   * Reads back the settings written by properties()
+   * @param {Object} properties - Property values of the Brightspace extension block keyed by name
+   * @returns {Object} - { metadata, tool } with the assessment metadata and tool fields found
+   */
+  parse(properties) {
+    return {
+      metadata: {
+        points: properties.grade_item_max_points && Number(properties.grade_item_max_points),
+        passingScore: properties.grade_item_passing_score && Number(properties.grade_item_passing_score)
+      },
+      tool: {
+        display: properties.open_in_new_window && (properties.open_in_new_window === 'true' ? 'newWindow' : 'embed')
+      }
+    };
+  }
+};
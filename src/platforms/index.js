@@ -0,0 +1,72 @@
+const canvas = require('./canvas');
+const d2l = require('./d2l');
+const moodle = require('./moodle');
+const blackboard = require('./blackboard');
+const schoology = require('./schoology');
+
+// Adapters by name; aliases point at the same adapter
+const ADAPTERS = {
+  canvas,
+  d2l,
+  brightspace: d2l,
+  moodle,
+  blackboard,
+  schoology
+};
+
+const DEFAULT_PLATFORMS = ['canvas'];
+
+/**
+ * Looks up the platform adapters for a list of platform names
+ * @param {Array<string>} names - Platform names (e.g. ['canvas', 'd2l'])
+ * @returns {Array<Object>} - The adapters, without duplicates, in the order given
+ */
+function getPlatformAdapters(names = DEFAULT_PLATFORMS) {
+  const adapters = names.map(name => {
+    const adapter = ADAPTERS[String(name).toLowerCase()];
+    if (!adapter) {
+      throw new Error(`Unknown platform "${name}" (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return adapter;
+  });
+
+  return adapters.filter((adapter, index) => adapters.indexOf(adapter) === index);
+}
+
+/**
+ * Drops the fields an adapter did not find
+ * @param {Object} fields - Parsed fields, undefined where absent
+ * @returns {Object} - The fields that have a value
+ */
+function definedFields(fields = {}) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Reads the assessment metadata and tool fields of a link back from its extension blocks,
+ * asking the adapter of each platform found to parse its own block. Canvas is read last,
+ * so its values win when platforms disagree.
+ * @param {Object} extensions - Property values keyed by platform attribute, then by property name
+ * @param {Object} context - Course-level details the properties refer to, e.g. { groupNames }
+ * @returns {Object} - { metadata, tool } in the course JSON shape
+ */
+function parsePlatformExtensions(extensions, context = {}) {
+  const adapters = Object.values(ADAPTERS)
+    .filter((adapter, index, all) => all.indexOf(adapter) === index && extensions[adapter.platform])
+    .sort((a, b) => (a === canvas) - (b === canvas));
+
+  return adapters.reduce((parsed, adapter) => {
+    const { metadata, tool } = adapter.parse(extensions[adapter.platform], context);
+    return {
+      metadata: { ...parsed.metadata, ...definedFields(metadata) },
+      tool: { ...parsed.tool, ...definedFields(tool) }
+    };
+  }, { metadata: {}, tool: {} });
+}
+
+module.exports = {
+  ADAPTERS,
+  DEFAULT_PLATFORMS,
+  getPlatformAdapters,
+  parsePlatformExtensions
+};
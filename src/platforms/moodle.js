@@ -0,0 +1,78 @@
+// Moodle launch container values for each display mode
+const LAUNCH_CONTAINERS = {
+  embed: 3,
+  newWindow: 4
+};
+
+// User details Moodle sends for each privacy level
+const PRIVACY_LEVELS = [
+  { name: 'public', sendName: true, sendEmail: true },
+  { name: 'name_only', sendName: true, sendEmail: false },
+  { name: 'email_only', sendName: false, sendEmail: true },
+  { name: 'anonymous', sendName: false, sendEmail: false }
+];
+
+/**
+ * Moodle adapter. Moodle maps display modes to its launch containers, takes
+ * the maximum grade from assessments and decides which user details to send
+ * from the tool's privacy level.
+ */
+module.exports = {
+  name: 'moodle',
+  platform: 'moodle.org',
+
+  /**
+   * Lists the Moodle extension properties for a link
+   * @param {Object} link - Link being generated
+   * @param {boolean} link.isAssessment - Whether the link is a graded assessment
+   * @param {Object} link.metadata - Assessment metadata from the course JSON
+   * @param {Object} link.tool - Tool configuration from resolveTool
+   * @returns {Array<Object>} - Properties as { name, value }
+   */
+  properties({ isAssessment, metadata = {}, tool }) {
+    const properties = [];
+
+    if (tool.display) {
+      properties.push({ name: 'launchcontainer', value: LAUNCH_CONTAINERS[tool.display] });
+    }
+
+    if (isAssessment) {
+      const { sendName, sendEmail } = PRIVACY_LEVELS.find(level => level.name === tool.privacyLevel) || PRIVACY_LEVELS[0];
+      properties.push(
+        { name: 'grade', value: metadata.points || 10 },
+        { name: 'sendname', value: sendName ? 1 : 0 },
+        { name: 'sendemailaddr', value: sendEmail ? 1 : 0 }
+      );
+    }
+
+    return properties;
+  },
+
+  /**
+   * Reads back the settings written by properties()
+   * @param {Object} properties - Property values of the Moodle extension block keyed by name
+   * @returns {Object} - { metadata, tool } with the assessment metadata and tool fields found
+   */
+  parse(properties) {
+    const display = Object.keys(LAUNCH_CONTAINERS)
+      .find(mode => String(LAUNCH_CONTAINERS[mode]) === properties.launchcontainer);
+
+    // The user details sent are all that is left of the privacy level
+    let privacyLevel;
+    if (properties.sendname !== undefined || properties.sendemailaddr !== undefined) {
+      const sendName = properties.sendname === '1';
+      const sendEmail = properties.sendemailaddr === '1';
+      privacyLevel = PRIVACY_LEVELS.find(level => level.sendName === sendName && level.sendEmail === sendEmail).name;
+    }
+
+    return {
+      metadata: {
+        points: properties.grade && Number(properties.grade)
+      },
+      tool: {
+        display: properties.launchcontainer && (display || 'embed'),
+        privacyLevel
+      }
+    };
+  }
+};
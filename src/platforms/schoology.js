@@ -0,0 +1,49 @@
+/**
+ * Schoology adapter. Schoology turns assessment links into graded materials
+ * and supports launching any link in a new window.
+ */
+module.exports = {
+  name: 'schoology',
+  platform: 'schoology.com',
+
+  /**
+   * Lists the Schoology extension properties for a link
+   * @param {Object} link - Link being generated
+   * @param {boolean} link.isAssessment - Whether the link is a graded assessment
+   * @param {Object} link.metadata - Assessment metadata from the course JSON
+   * @param {Object} link.tool - Tool configuration from resolveTool
+   * @returns {Array<Object>} - Properties as { name, value }
+   */
+  properties({ isAssessment, metadata = {}, tool }) {
+    const properties = [];
+
+    if (tool.display) {
+      properties.push({ name: 'launch_in_new_window', value: tool.display === 'newWindow' ? 'true' : 'false' });
+    }
+
+    if (isAssessment) {
+      properties.push(
+        { name: 'graded', value: 'true' },
+        { name: 'max_points', value: metadata.points || 10 }
+      );
+    }
+
+    return properties;
+  },
+
+  /**
+   * Reads back the settings written by properties()
+   * @param {Object} properties - Property values of the Schoology extension block keyed by name
+   * @returns {Object} - { metadata, tool } with the assessment metadata and tool fields found
+   */
+  parse(properties) {
+    return {
+      metadata: {
+        points: properties.max_points && Number(properties.max_points)
+      },
+      tool: {
+        display: properties.launch_in_new_window && (properties.launch_in_new_window === 'true' ? 'newWindow' : 'embed')
+      }
+    };
+  }
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { generateManifest, parseCartridge, escapeHtml } = require('./cartridgeGenerator');
+const { loadCourseFile } = require('./courseLoader');
+const { localize } = require('./localization');
+const { parseXml, childElements } = require('./xmlReader');
+
+// Edits often arrive as several file system events; wait for them to settle
+const REBUILD_DELAY = 100;
+
+// How often the preview page checks for a newer build, in milliseconds
+const POLL_INTERVAL = 1000;
+
+// Content types of the files served from the cartridge folder
+const CONTENT_TYPES = {
+  '.xml': 'application/xml; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Maps the organization items of a manifest to the file of the resource they launch
+ * @param {string} manifestXml - Content of imsmanifest.xml
+ * @returns {Object} - File paths keyed by item identifier; a folder maps to the file
+ *   of its first item, which is the folder's own link when the item has children
+ */
+function itemFiles(manifestXml) {
+  const [manifest] = childElements(parseXml(manifestXml), 'manifest');
+  const [resourcesElement] = childElements(manifest, 'resources');
+  const hrefs = {};
+  (resourcesElement ? childElements(resourcesElement, 'resource') : []).forEach(resource => {
+    const [file] = childElements(resource, 'file');
+    hrefs[resource.attributes.identifier] = resource.attributes.href || (file && file.attributes.href);
+  });
+
+  const files = {};
+  function walk(parent) {
+    childElements(parent, 'item').forEach(item => {
+      const { identifier, identifierref } = item.attributes || {};
+      const [first] = childElements(item, 'item');
+      walk(item);
+      files[identifier] = identifierref
+        ? hrefs[identifierref]
+        : first && files[(first.attributes || {}).identifier];
+    });
+  }
+  const [organizations] = childElements(manifest, 'organizations');
+  (organizations ? childElements(organizations, 'organization') : []).forEach(walk);
+
+  return files;
+}
+
+/**
+ * Describes the assessment settings of an item in one line
+ * @param {Object} metadata - Assessment metadata as parseCartridge returns it
+ * @returns {string} - Settings such as "quiz, 10 pts, due 2026-09-15T23:59:00"
+ */
+function describeAssessment(metadata = {}) {
+  return [
+    metadata.type,
+    metadata.points !== undefined && `${metadata.points} pts`,
+    metadata.passingScore !== undefined && `passing ${metadata.passingScore}`,
+    metadata.gradingType && `graded as ${metadata.gradingType}`,
+    metadata.timeLimit && `${metadata.timeLimit} min`,
+    metadata.attempts && `${metadata.attempts} attempts`,
+    metadata.proctored && 'proctored',
+    metadata.assignmentGroup && `group ${metadata.assignmentGroup}`,
+    metadata.unlockAt && `unlocks ${metadata.unlockAt}`,
+    metadata.dueAt && `due ${metadata.dueAt}`,
+    metadata.lockAt && `locks ${metadata.lockAt}`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Renders the preview page for the latest build
+ * @param {Object} state - Preview state: { build, builtAt, course, files, packageBytes, error }
+ * @param {string} locale - Preferred language of multilingual titles
+ * @returns {string} - The HTML page
+ */
+function renderPage(state, locale) {
+  const { course, files = {} } = state;
+  const text = value => escapeHtml(localize(value, locale, course && course.language) || '');
+  const fileLink = (href, label) => href
+    ? ` <a href="/files/${href.split('/').map(encodeURIComponent).join('/')}">${escapeHtml(label || href)}</a>`
+    : '';
+
+  function renderItems(items) {
+    return `<ul>${items.map(item => {
+      const details = [];
+      if (item.launchUrl) {
+        details.push(`${item.type === 'assessment' ? 'assessment' : 'launch'}: ${escapeHtml(item.launchUrl)}${fileLink(files[item.id])}`);
+      }
+      if (item.type === 'assessment') {
+        details.push(`settings: ${escapeHtml(describeAssessment(item.assessmentMetadata))}`);
+      }
+      if (item.url) {
+        details.push(`link: ${escapeHtml(item.url)}${fileLink(files[item.id])}`);
+      }
+      if (item.html !== undefined) {
+        details.push(`page: ${item.html.length} characters of HTML${fileLink(files[item.id])}`);
+      }
+      if (item.assessmentUrl) {
+        details.push(`assessment: ${text(item.assessmentTitle)} ${escapeHtml(item.assessmentUrl)}${fileLink(files[item.assessmentId])}`);
+        details.push(`settings: ${escapeHtml(describeAssessment(item.assessmentMetadata))}`);
+      }
+
+      return `<li><strong>${text(item.title)}</strong> <code>${escapeHtml(item.id || '')}</code>` +
+        details.map(detail => `<div class="detail">${detail}</div>`).join('') +
+        (item.children && item.children.length > 0 ? renderItems(item.children) : '') +
+        '</li>';
+    }).join('')}</ul>`;
+  }
+
+  // Keep showing the last good build under the error, so a typo does not blank the page
+  const error = state.error && `<div class="error"><strong>Build failed:</strong> ${escapeHtml(state.error.message)}</div>`;
+  const body = course
+    ? `<h1>${text(course.title)}</h1>
+<p>${text(course.description)}</p>
+<p class="files">${fileLink('imsmanifest.xml')} · <a href="/download">Download .imscc</a> (${state.packageBytes} bytes) · built ${escapeHtml(state.builtAt.toLocaleTimeString())}</p>
+${renderItems(course.modules)}`
+    : '<p>Waiting for a successful build…</p>';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${course ? text(course.title) : 'Cartridge preview'}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+ul { list-style: none; padding-left: 1.5em; }
+li { margin: 0.4em 0; }
+code, .detail { color: #666; font-size: 0.85em; }
+.error { background: #fdd; border: 1px solid #c00; padding: 0.5em; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+${error || ''}
+${body}
+<script>
+// Reload when the course file has been rebuilt
+setInterval(() => {
+  fetch('/status').then(response => response.json()).then(status => {
+    if (status.build !== ${state.build}) {
+      location.reload();
+    }
+  }).catch(() => {});
+}, ${POLL_INTERVAL});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Watches a course file and serves a preview of the cartridge built from it. Every
+ * change rebuilds the cartridge with generateManifest; the page shows the module
+ * tree with launch URLs and assessment settings, links to the manifest and link
+ * files, and reloads itself after each build.
+ * @param {string} coursePath - Path to the course file (JSON, YAML or CSV)
+ * @param {Object} options - Preview options
+ * @param {string} options.outputDir - Folder the cartridge is written to (default "output")
+ * @param {number} options.port - Port to listen on (default 4000; 0 picks a free port)
+ * @param {string} options.host - Interface to listen on (default "127.0.0.1")
+ * @param {string} options.locale - Preferred language of multilingual titles
+ * @param {Object} options.build - Generation options passed to generateManifest
+ * @param {Function} options.onBuild - Called after each build with { build, error }
+ * @returns {Promise<Object>} - Resolves once listening to { url, rebuild(), close() }
+ */
+async function startPreview(coursePath, options = {}) {
+  const outputDir = options.outputDir || 'output';
+  const name = path.basename(coursePath, path.extname(coursePath));
+  const cartridgeDir = path.join(outputDir, name);
+  const manifestPath = path.join(cartridgeDir, 'imsmanifest.xml');
+  const packagePath = path.join(outputDir, `${name}.imscc`);
+  const buildOptions = { ...options.build, locale: options.locale, quiet: true };
+
+  let state = { build: 0, course: null, error: null };
+
+  // Builds run one at a time; changes made during a build trigger one more
+  let building = null;
+  let pending = false;
+  function rebuild() {
+    if (building) {
+      pending = true;
+      return building;
+    }
+
+    building = (async () => {
+      try {
+        const courseData = await loadCourseFile(coursePath);
+        await generateManifest(courseData, manifestPath, true, buildOptions);
+        state = {
+          build: state.build + 1,
+          builtAt: new Date(),
+          course: await parseCartridge(packagePath),
+          files: itemFiles(fs.readFileSync(manifestPath, 'utf8')),
+          packageBytes: fs.statSync(packagePath).size,
+          error: null
+        };
+      } catch (err) {
+        state = { ...state, build: state.build + 1, error: err };
+      }
+      if (options.onBuild) {
+        options.onBuild({ build: state.build, error: state.error });
+      }
+    })().then(() => {
+      building = null;
+      if (pending) {
+        pending = false;
+        return rebuild();
+      }
+    });
+    return building;
+  }
+
+  // Watch the folder rather than the file, since editors often save by replacing it
+  let timer = null;
+  const watcher = fs.watch(path.dirname(path.resolve(coursePath)), (eventType, filename) => {
+    if (filename === path.basename(coursePath)) {
+      clearTimeout(timer);
+      timer = setTimeout(rebuild, REBUILD_DELAY);
+    }
+  });
+
+  // Send a file of the latest build, refusing paths outside the cartridge
+  function sendFile(response, filePath, headers = {}) {
+    fs.readFile(filePath, (err, content) => {
+      if (err) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+      }
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        ...headers
+      });
+      response.end(content);
+    });
+  }
+
+  const server = http.createServer((request, response) => {
+    // The raw path, as URL parsing would resolve "/files/../x" to "/x" before it is checked
+    const pathname = request.url.split(/[?#]/)[0];
+
+    if (pathname === '/') {
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      response.end(renderPage(state, options.locale));
+    } else if (pathname === '/status') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ build: state.build, error: state.error ? state.error.message : null }));
+    } else if (pathname === '/download') {
+      sendFile(response, packagePath, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(name)}.imscc"`
+      });
+    } else if (pathname.startsWith('/files/')) {
+      const root = path.resolve(cartridgeDir);
+      let filePath;
+      try {
+        filePath = path.resolve(root, decodeURIComponent(pathname.slice('/files/'.length)));
+      } catch (err) {
+        filePath = root;
+      }
+      if (!filePath.startsWith(`${root}${path.sep}`)) {
+        response.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Forbidden');
+        return;
+      }
+      sendFile(response, filePath);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+    }
+  });
+
+  await rebuild();
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(options.port === undefined ? 4000 : options.port, options.host || '127.0.0.1', resolve);
+    });
+  } catch (err) {
+    watcher.close();
+    throw err;
+  }
+  const { address, port } = server.address();
+
+  return {
+    url: `http://${address}:${port}/`,
+    rebuild,
+    close: () => new Promise(resolve => {
+      clearTimeout(timer);
+      watcher.close();
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = {
+  startPreview
+};
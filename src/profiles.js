@@ -0,0 +1,100 @@
+// Namespaces and schema locations for each supported Common Cartridge version
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * Builds the LTI link namespaces for a cartridge_basiclti_link schema version
+ * @param {string} ccVersion - Link schema version suffix (e.g. "v1p0", "v1p3")
+ * @returns {Object} - Namespace attributes for the link root element
+ */
+function ltiNamespaces(ccVersion) {
+  return {
+    xmlns: `http://www.imsglobal.org/xsd/imslticc_${ccVersion}`,
+    'xmlns:blti': 'http://www.imsglobal.org/xsd/imsbasiclti_v1p0',
+    'xmlns:lticm': 'http://www.imsglobal.org/xsd/imslticm_v1p0',
+    'xmlns:lticp': 'http://www.imsglobal.org/xsd/imslticp_v1p0',
+    'xmlns:xsi': XSI_NAMESPACE,
+    'xsi:schemaLocation': [
+      `http://www.imsglobal.org/xsd/imslticc_${ccVersion} http://www.imsglobal.org/xsd/lti/lti${ccVersion}/imslticc_${ccVersion}.xsd`,
+      'http://www.imsglobal.org/xsd/imsbasiclti_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imsbasiclti_v1p0.xsd',
+      'http://www.imsglobal.org/xsd/imslticm_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticm_v1p0.xsd',
+      'http://www.imsglobal.org/xsd/imslticp_v1p0 http://www.imsglobal.org/xsd/lti/ltiv1p0/imslticp_v1p0.xsd'
+    ].join(' ')
+  };
+}
+
+/**
+ * Builds a manifest profile for a Common Cartridge version
+ * @param {string} version - Dotted schema version (e.g. "1.3.0")
+ * @param {string} linkVersion - LTI link schema version suffix
+ * @returns {Object} - The profile definition
+ */
+function ccProfile(version, linkVersion) {
+  const [major, minor] = version.split('.');
+  const cc = `v${major}p${minor}`;
+
+  return {
+    schemaVersion: version,
+    resourceTypes: {
+      basicLti: 'imsbasiclti_xmlv1p0',
+      webLink: `imswl_xml${cc}`,
+      webContent: 'webcontent',
+      learningApplication: `associatedcontent/imscc_xml${cc}/learning-application-resource`
+    },
+    manifestNamespaces: {
+      xmlns: `http://www.imsglobal.org/xsd/imscc${cc}/imscp_v1p1`,
+      'xmlns:lomimscc': `http://ltsc.ieee.org/xsd/imscc${cc}/LOM/manifest`,
+      'xmlns:xsi': XSI_NAMESPACE
+    },
+    // Declared on each resource-level LOM block, which are only written for items with metadata
+    lomResourceNamespace: `http://ltsc.ieee.org/xsd/imscc${cc}/LOM/resource`,
+    manifestSchemaLocation: [
+      `http://www.imsglobal.org/xsd/imscc${cc}/imscp_v1p1 http://www.imsglobal.org/profile/cc/cc${cc}/cc${cc}_imscp_v1p2_v1p0.xsd`,
+      `http://ltsc.ieee.org/xsd/imscc${cc}/LOM/manifest http://www.imsglobal.org/profile/cc/cc${cc}/LOM/cc${cc}_lommanifest_v1p0.xsd`,
+      `http://ltsc.ieee.org/xsd/imscc${cc}/LOM/resource http://www.imsglobal.org/profile/cc/cc${cc}/LOM/cc${cc}_lomresource_v1p0.xsd`
+    ].join(' '),
+    ltiNamespaces: ltiNamespaces(linkVersion),
+    webLinkNamespaces: {
+      xmlns: `http://www.imsglobal.org/xsd/imscc${cc}/imswl_${cc}`,
+      'xmlns:xsi': XSI_NAMESPACE,
+      'xsi:schemaLocation': `http://www.imsglobal.org/xsd/imscc${cc}/imswl_${cc} http://www.imsglobal.org/profile/cc/cc${cc}/cc${cc}_imswl_${cc}.xsd`
+    }
+  };
+}
+
+const PROFILES = {
+  'cc1.1': ccProfile('1.1.0', 'v1p0'),
+  'cc1.2': ccProfile('1.2.0', 'v1p0'),
+  'cc1.3': ccProfile('1.3.0', 'v1p3')
+};
+
+const DEFAULT_PROFILE = 'cc1.1';
+
+/**
+ * Looks up an output profile by name
+ * @param {string} name - Profile name ("cc1.1", "cc1.2" or "cc1.3")
+ * @returns {Object} - The profile definition
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown cartridge profile "${name}" (expected one of ${Object.keys(PROFILES).join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Finds the profile name matching a manifest schema version
+ * @param {string} schemaVersion - Content of <schemaversion> (e.g. "1.3.0")
+ * @returns {string|undefined} - The profile name, or undefined if unsupported
+ */
+function profileForSchemaVersion(schemaVersion) {
+  return Object.keys(PROFILES).find(name => PROFILES[name].schemaVersion === schemaVersion);
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  getProfile,
+  profileForSchemaVersion
+};
@@ -0,0 +1,213 @@
+const { parsePlatformExtensions } = require('./platforms');
+
+// Tool settings used when the course JSON does not configure them
+const DEFAULT_TOOL = {
+  vendor: {
+    code: 'external_tool',
+    name: 'External Tool Provider'
+  },
+  toolId: 'lti_advantage_tool',
+  privacyLevel: 'public',
+  custom: {}
+};
+
+/**
+ * Merges tool blocks over the defaults, later blocks overriding earlier ones
+ * @param {...Object} tools - Tool blocks from the outermost (course) to the innermost (item)
+ * @returns {Object} - The merged tool configuration; vendor and custom are merged key by key
+ */
+function mergeTool(...tools) {
+  return tools.filter(Boolean).reduce((merged, tool) => ({
+    ...merged,
+    ...tool,
+    vendor: {
+      ...merged.vendor,
+      ...tool.vendor
+    },
+    custom: {
+      ...merged.custom,
+      ...tool.custom
+    }
+  }), DEFAULT_TOOL);
+}
+
+/**
+ * Lists the tool blocks a course or item hands down to the links under it
+ * @param {Object} node - The course data or an item
+ * @returns {Array<Object>} - Its tool block, then its custom parameters; either may be undefined
+ */
+function toolBlocks(node) {
+  return [node.tool, node.custom && { custom: node.custom }];
+}
+
+/**
+ * Resolves the tool configuration for a single launch, filling in the JWKS and
+ * OIDC login URLs from the launch URL when they are not configured
+ * @param {string} launchUrl - The launch URL of the link
+ * @param {...Object} tools - Tool blocks from the course down to the item, innermost last
+ * @returns {Object} - The complete tool configuration for the link
+ */
+function resolveTool(launchUrl, ...tools) {
+  const tool = mergeTool(...tools);
+
+  return {
+    ...tool,
+    // Historically these sit next to the launch path on the tool's host
+    jwksUrl: tool.jwksUrl || launchUrl.replace(/\/[^\/]*$/, '/jwks'),
+    oidcLoginUrl: tool.oidcLoginUrl || launchUrl.replace(/\/[^\/]*$/, '/init'),
+    // Deep Linking names each resource's own URL as the launch target
+    targetLinkUri: tool.deepLinking ? launchUrl : tool.targetLinkUri
+  };
+}
+
+// Tool fields only carried by LTI Advantage (assessment) links
+const ADVANTAGE_FIELDS = ['toolId', 'privacyLevel', 'clientId', 'deploymentId', 'targetLinkUri', 'jwksUrl', 'oidcLoginUrl'];
+
+/**
+ * Reads the tool configuration carried by a parsed link file
+ * @param {Object} link - Link as returned by parseLtiLinkXml
+ * @param {boolean} isAdvantage - Whether the link is an LTI Advantage link
+ * @returns {Object} - Tool fields flattened to dotted paths (e.g. "vendor.code", "custom.lesson_id")
+ */
+function toolFieldsFromLink(link, isAdvantage) {
+  const { tool } = parsePlatformExtensions(link.extensions);
+  const fields = { iconUrl: link.iconUrl, display: tool.display };
+
+  Object.keys(link.vendor).forEach(key => {
+    fields[`vendor.${key}`] = link.vendor[key];
+  });
+  Object.keys(link.custom).forEach(key => {
+    fields[`custom.${key}`] = link.custom[key];
+  });
+
+  // A target that is the link's own launch URL comes from deep linking
+  if (tool.targetLinkUri && tool.targetLinkUri === link.launchUrl) {
+    fields.deepLinking = true;
+  }
+
+  if (isAdvantage) {
+    const defaults = resolveTool(link.launchUrl);
+    Object.assign(fields, {
+      toolId: tool.toolId,
+      privacyLevel: tool.privacyLevel,
+      clientId: tool.clientId,
+      deploymentId: tool.deploymentId,
+      targetLinkUri: !fields.deepLinking ? tool.targetLinkUri : undefined,
+      // URLs derived from the launch URL are left implicit
+      jwksUrl: tool.jwksUrl !== defaults.jwksUrl ? tool.jwksUrl : undefined,
+      oidcLoginUrl: tool.oidcLoginUrl !== defaults.oidcLoginUrl ? tool.oidcLoginUrl : undefined
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Turns dotted tool fields back into a tool block
+ * @param {Object} fields - Tool fields keyed by dotted path
+ * @returns {Object|undefined} - The tool block, or undefined when there are no fields
+ */
+function toolFromFields(fields) {
+  const paths = Object.keys(fields).filter(fieldPath => fields[fieldPath] !== undefined);
+  if (paths.length === 0) {
+    return undefined;
+  }
+
+  return paths.reduce((tool, fieldPath) => {
+    const [key, subKey] = fieldPath.split(/\.(.*)/);
+    if (subKey) {
+      tool[key] = { ...tool[key], [subKey]: fields[fieldPath] };
+    } else {
+      tool[key] = fields[fieldPath];
+    }
+    return tool;
+  }, {});
+}
+
+/**
+ * Reconstructs course-level and per-item tool blocks from the links of a parsed
+ * cartridge. A field goes into the course block when every link able to carry it
+ * has the same value; items whose links differ from the resolved course block get overrides.
+ * @param {Array<Object>} links - Entries of { item, link, isAdvantage, identifier } for every
+ *   link file, identifier being that of the organization item pointing to it
+ * @returns {Object} - { courseTool, itemTools } where itemTools maps an item to its override
+ */
+function reconstructTools(links) {
+  // A custom parameter holding each link's own identifier is the linkIdParameter
+  const linkIdParameter = links.length > 0 && Object.keys(links[0].link.custom).find(name =>
+    links.every(({ link, identifier }) => identifier && link.custom[name] === identifier)
+  );
+
+  const linkFields = links.map(({ link, isAdvantage }) => {
+    const fields = toolFieldsFromLink(link, isAdvantage);
+    if (linkIdParameter) {
+      delete fields[`custom.${linkIdParameter}`];
+    }
+    return fields;
+  });
+
+  // Every field path seen on any link
+  const allPaths = new Set(ADVANTAGE_FIELDS);
+  linkFields.forEach(fields => Object.keys(fields).forEach(fieldPath => allPaths.add(fieldPath)));
+
+  const courseFields = {};
+  allPaths.forEach(fieldPath => {
+    const values = linkFields
+      .filter((fields, index) => links[index].isAdvantage || !ADVANTAGE_FIELDS.includes(fieldPath))
+      .map(fields => fields[fieldPath]);
+    if (values.length > 0 && values[0] !== undefined && values.every(value => value === values[0])) {
+      courseFields[fieldPath] = values[0];
+    }
+  });
+
+  if (linkIdParameter) {
+    courseFields.linkIdParameter = linkIdParameter;
+  }
+
+  // Leave out anything the defaults already provide
+  const defaultFields = {
+    'vendor.code': DEFAULT_TOOL.vendor.code,
+    'vendor.name': DEFAULT_TOOL.vendor.name,
+    toolId: DEFAULT_TOOL.toolId,
+    privacyLevel: DEFAULT_TOOL.privacyLevel
+  };
+  Object.keys(courseFields).forEach(fieldPath => {
+    if (courseFields[fieldPath] === defaultFields[fieldPath]) {
+      delete courseFields[fieldPath];
+    }
+  });
+
+  // Fields of each item's links (content and assessment) that differ from the course
+  const resolvedFields = { ...defaultFields, ...courseFields };
+  const itemFields = new Map();
+  links.forEach(({ item }, index) => {
+    const fields = linkFields[index];
+    const overrides = itemFields.get(item) || {};
+    Object.keys(fields)
+      .filter(fieldPath => fields[fieldPath] !== undefined && fields[fieldPath] !== resolvedFields[fieldPath])
+      .forEach(fieldPath => {
+        overrides[fieldPath] = fields[fieldPath];
+      });
+    itemFields.set(item, overrides);
+  });
+
+  const itemTools = new Map();
+  itemFields.forEach((fields, item) => {
+    const tool = toolFromFields(fields);
+    if (tool) {
+      itemTools.set(item, tool);
+    }
+  });
+
+  return {
+    courseTool: toolFromFields(courseFields),
+    itemTools
+  };
+}
+
+module.exports = {
+  DEFAULT_TOOL,
+  toolBlocks,
+  resolveTool,
+  reconstructTools
+};
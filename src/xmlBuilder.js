@@ -0,0 +1,85 @@
+const { js2xml } = require('xml-js');
+
+// Characters that may not appear anywhere in an XML 1.0 document
+// (C0 controls other than tab/newline/return, unpaired surrogates, U+FFFE and U+FFFF)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Converts a value to a string that can be placed in an XML document
+ * @param {*} value - Value to convert
+ * @returns {string} - The string with characters illegal in XML removed
+ */
+function sanitize(value) {
+  return String(value === undefined || value === null ? '' : value).replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Creates an element node
+ * @param {string} name - Qualified element name (e.g. "blti:title")
+ * @param {Object} attributes - Optional attributes; null and undefined values are omitted
+ * @param {Array<Object>} children - Optional child nodes
+ * @returns {Object} - Element node in xml-js non-compact form
+ */
+function element(name, attributes = {}, children = []) {
+  const node = { type: 'element', name };
+
+  const definedAttributes = Object.keys(attributes)
+    .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+    .reduce((result, key) => ({ ...result, [key]: attributes[key] }), {});
+  if (Object.keys(definedAttributes).length > 0) {
+    node.attributes = definedAttributes;
+  }
+
+  const childNodes = children.filter(Boolean);
+  if (childNodes.length > 0) {
+    node.elements = childNodes;
+  }
+
+  return node;
+}
+
+/**
+ * Creates an element whose only content is text
+ * @param {string} name - Qualified element name
+ * @param {*} value - Text content, escaped on output
+ * @param {Object} attributes - Optional attributes
+ * @returns {Object} - Element node in xml-js non-compact form
+ */
+function textElement(name, value, attributes = {}) {
+  // xml-js un-escapes "&amp;" before escaping text, so ampersands are doubled
+  // here to keep a literal "&amp;" in the content intact
+  const text = sanitize(value).replace(/&/g, '&amp;');
+  return {
+    ...element(name, attributes),
+    elements: [{ type: 'text', text }]
+  };
+}
+
+/**
+ * Serializes an element tree into a complete XML document
+ * @param {Object} root - Root element node
+ * @returns {string} - The XML document, UTF-8 declared and indented
+ */
+function toXml(root) {
+  return js2xml({
+    declaration: { attributes: { version: '1.0', encoding: 'UTF-8' } },
+    elements: [root]
+  }, {
+    spaces: 4,
+    fullTagEmptyElement: false,
+    // xml-js only escapes quotes in attribute values
+    attributesFn: attributes => Object.keys(attributes).reduce((result, key) => ({
+      ...result,
+      [key]: sanitize(attributes[key])
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+    }), {})
+  });
+}
+
+module.exports = {
+  element,
+  textElement,
+  toXml
+};
@@ -0,0 +1,57 @@
+const { xml2js } = require('xml-js');
+
+/**
+ * Parses an XML document into xml-js non-compact form
+ * @param {string} xml - The document text
+ * @returns {Object} - The document node; throws if the XML is not well-formed
+ */
+function parseXml(xml) {
+  return xml2js(xml, { compact: false });
+}
+
+/**
+ * Strips the namespace prefix from an element name (e.g. "blti:title" -> "title")
+ * @param {string} name - Qualified element name
+ * @returns {string} - The local part of the name
+ */
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+/**
+ * Returns the child elements of a parsed XML element, optionally filtered by local name
+ * @param {Object} element - Element as produced by xml-js in non-compact mode
+ * @param {string} name - Optional local name to filter on
+ * @returns {Array<Object>} - The matching child elements
+ */
+function childElements(element, name) {
+  return (element.elements || []).filter(child =>
+    child.type === 'element' && (!name || localName(child.name) === name)
+  );
+}
+
+/**
+ * Returns the trimmed text content of a parsed XML element
+ * @param {Object} element - Element as produced by xml-js in non-compact mode
+ * @returns {string} - The concatenated text and CDATA content
+ */
+function textContent(element) {
+  if (!element) {
+    return '';
+  }
+  return (element.elements || [])
+    .map(child => {
+      if (child.type === 'text') return child.text;
+      if (child.type === 'cdata') return child.cdata;
+      return '';
+    })
+    .join('')
+    .trim();
+}
+
+module.exports = {
+  parseXml,
+  localName,
+  childElements,
+  textContent
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+
+/**
+ * Finds the schema file a schemaLocation attribute names for a namespace
+ * @param {string} schemaLocation - xsi:schemaLocation value: namespace and URL pairs
+ * @param {string} namespace - Namespace of the document's root element
+ * @returns {string|undefined} - Base name of the XSD (e.g. "ccv1p1_imscp_v1p2_v1p0.xsd")
+ */
+function schemaFileFor(schemaLocation, namespace) {
+  const parts = schemaLocation.trim().split(/\s+/);
+  for (let index = 0; index < parts.length - 1; index += 2) {
+    if (parts[index] === namespace) {
+      return path.posix.basename(parts[index + 1]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Lists the XSD files under a folder
+ * @param {string} schemaDir - Folder holding the schemas
+ * @returns {Array<string>} - Paths relative to the folder, with forward slashes
+ */
+function listSchemas(schemaDir) {
+  return fs.readdirSync(schemaDir, { recursive: true })
+    .map(name => name.split(path.sep).join('/'))
+    .filter(name => name.toLowerCase().endsWith('.xsd'));
+}
+
+/**
+ * Validates cartridge files against the XSDs of their profile with libxml2's schema
+ * validator (compiled to WebAssembly, so nothing is downloaded or installed). Every XSD in
+ * the folder is made available under its relative path, so imports and includes between
+ * them must use relative schemaLocations, as in the schema bundles IMS distributes.
+ * @param {Array<Object>} files - Documents to check as { fileName, contents, namespace,
+ *   schemaLocation }, namespace and schemaLocation being those the profile requires
+ * @param {string} schemaDir - Folder holding the Common Cartridge XSDs
+ * @returns {Promise<Object>} - { errors, missing } where errors are { file, line, message }
+ *   and missing lists the schema files not found in the folder
+ */
+async function validateAgainstSchemas(files, schemaDir) {
+  const schemas = listSchemas(schemaDir);
+  const preload = schemas.map(fileName => ({
+    fileName,
+    contents: fs.readFileSync(path.join(schemaDir, fileName), 'utf8')
+  }));
+
+  // Files sharing a schema are validated together
+  const groups = new Map();
+  files.forEach(file => {
+    const schemaFile = schemaFileFor(file.schemaLocation, file.namespace);
+    groups.set(schemaFile, [...(groups.get(schemaFile) || []), file]);
+  });
+
+  const errors = [];
+  const missing = [];
+  for (const [schemaFile, groupFiles] of groups) {
+    const schema = preload.find(candidate => path.posix.basename(candidate.fileName) === schemaFile);
+    if (!schema) {
+      missing.push(schemaFile);
+      continue;
+    }
+
+    const result = await validateXML({
+      xml: groupFiles.map(({ fileName, contents }) => ({ fileName, contents })),
+      schema: [schema],
+      preload: preload.filter(candidate => candidate !== schema)
+    });
+    result.errors.forEach(error => {
+      errors.push({
+        file: error.loc ? error.loc.fileName : '',
+        line: error.loc ? error.loc.lineNumber : undefined,
+        message: error.message.replace(/^.*?Schemas validity error : /, '')
+      });
+    });
+  }
+
+  return { errors, missing };
+}
+
+module.exports = {
+  validateAgainstSchemas
+};
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildBatch } = require('../src/batchBuilder');
+
+const template = {
+  title: 'Chinese {{level}}',
+  startDate: '2026-09-01',
+  assignmentGroups: [{ name: 'Exams', weight: 100 }],
+  modules: [
+    {
+      title: 'Week 1',
+      children: [
+        {
+          title: 'Lesson',
+          launchUrl: 'https://lti.example.com/{{level}}/lesson',
+          assessmentUrl: 'https://lti.example.com/{{level}}/lesson/quiz'
+        },
+        { title: 'Syllabus', url: 'https://example.com/{{level}}/syllabus' },
+        { title: 'About', html: '<p>Level {{level}}</p>' }
+      ]
+    },
+    {
+      type: 'assessment',
+      title: 'Final Exam',
+      launchUrl: 'https://lti.example.com/{{level}}/final',
+      assessmentMetadata: { points: '{{examPoints}}', assignmentGroup: 'Exams' }
+    }
+  ]
+};
+
+describe('buildBatch', () => {
+  it('builds a package per variable set and counts only its links', async () => {
+    const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thincc-batch-'));
+    try {
+      const report = await buildBatch(template, [
+        { level: 'I', examPoints: '100' },
+        { name: 'advanced', level: 'II' }
+      ], { outputDir, platforms: ['canvas'] });
+
+      assert.deepStrictEqual([report.built, report.failed], [1, 1]);
+      const [built, failed] = report.courses;
+
+      // Lesson, its quiz, the syllabus link and the final exam; not the page or Canvas settings
+      assert.strictEqual(built.name, 'chinese-i');
+      assert.strictEqual(built.links, 4);
+      assert.strictEqual(built.output, path.join(outputDir, 'chinese-i.imscc'));
+      assert.strictEqual(built.bytes, (await fs.promises.stat(built.output)).size);
+
+      assert.strictEqual(failed.name, 'advanced');
+      assert.match(failed.error, /examPoints/);
+    } finally {
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+    }
+  });
+});
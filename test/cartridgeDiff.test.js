@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { diffCartridges, formatDiff } = require('../src/cartridgeDiff');
+
+const BASE_URL = 'https://lti.example.com/course';
+
+// Items have no explicit ids, so a rename or move changes the id derived from the title path
+const course = {
+  title: 'Course',
+  modules: [
+    {
+      title: 'Week 1',
+      children: [
+        { title: 'Lesson A', launchUrl: `${BASE_URL}/a` },
+        { title: 'Lesson B', launchUrl: `${BASE_URL}/b` },
+        {
+          title: 'Lesson C',
+          launchUrl: `${BASE_URL}/c`,
+          assessmentUrl: `${BASE_URL}/c/quiz`,
+          assessmentTitle: 'Quiz C',
+          assessmentMetadata: { points: 10 }
+        }
+      ]
+    },
+    { title: 'Week 2', children: [{ title: 'Lesson D', launchUrl: `${BASE_URL}/d` }] },
+    { type: 'assessment', title: 'Final Exam', launchUrl: `${BASE_URL}/final`, assessmentMetadata: { type: 'exam', points: 100 } }
+  ]
+};
+
+/**
+ * Compares the course with a changed copy of it
+ * @param {Function} change - Receives the copy to change in place
+ * @returns {Promise<Array<Object>>} - The changes found, without item ids
+ */
+async function changesAfter(change) {
+  const changed = structuredClone(course);
+  change(changed);
+  const diff = await diffCartridges(course, changed);
+  return diff.changes.map(({ id, ...rest }) => rest);
+}
+
+describe('diffCartridges', () => {
+  it('finds nothing between a course and itself', async () => {
+    const diff = await diffCartridges(course, structuredClone(course));
+    assert.deepStrictEqual(diff, { identical: true, summary: {}, changes: [] });
+    assert.strictEqual(formatDiff(diff), 'No changes');
+  });
+
+  it('matches an item renamed in place by its launch URL', async () => {
+    const changes = await changesAfter(changed => {
+      changed.modules[0].children[0].title = 'Lesson Alpha';
+    });
+    assert.deepStrictEqual(changes, [
+      { type: 'retitled', path: ['Week 1', 'Lesson Alpha'], from: 'Lesson A', to: 'Lesson Alpha' }
+    ]);
+  });
+
+  it('reports an item moved between folders', async () => {
+    const changes = await changesAfter(changed => {
+      changed.modules[0].children.push(changed.modules[1].children.pop());
+    });
+    assert.deepStrictEqual(changes, [
+      { type: 'moved', path: ['Week 1', 'Lesson D'], from: ['Week 2'], to: ['Week 1'] }
+    ]);
+  });
+
+  it('matches a renamed folder by the items it holds, without moving them', async () => {
+    const changes = await changesAfter(changed => {
+      changed.modules[0].title = 'Unit 1';
+    });
+    assert.deepStrictEqual(changes, [
+      { type: 'retitled', path: ['Unit 1'], from: 'Week 1', to: 'Unit 1' }
+    ]);
+  });
+
+  it('matches renamed nested folders from the deepest up', async () => {
+    const nested = structuredClone(course);
+    nested.modules = [{ title: 'Term 1', children: nested.modules.slice(0, 2) }, nested.modules[2]];
+    const renamed = structuredClone(nested);
+    renamed.modules[0].title = 'Semester 1';
+    renamed.modules[0].children[0].title = 'Unit 1';
+
+    const diff = await diffCartridges(nested, renamed);
+    assert.deepStrictEqual(diff.changes.map(({ type, path }) => ({ type, path })), [
+      { type: 'retitled', path: ['Semester 1'] },
+      { type: 'retitled', path: ['Semester 1', 'Unit 1'] }
+    ]);
+  });
+
+  it('reports a changed launch URL', async () => {
+    const changes = await changesAfter(changed => {
+      changed.modules[0].children[1].launchUrl = `${BASE_URL}/b2`;
+    });
+    assert.deepStrictEqual(changes, [
+      { type: 'launch-url', path: ['Week 1', 'Lesson B'], from: `${BASE_URL}/b`, to: `${BASE_URL}/b2` }
+    ]);
+  });
+
+  it('reports assessments added, removed and changed', async () => {
+    const changes = await changesAfter(changed => {
+      Object.assign(changed.modules[0].children[1], { assessmentUrl: `${BASE_URL}/b/quiz`, assessmentTitle: 'Quiz B' });
+      const lessonC = changed.modules[0].children[2];
+      delete lessonC.assessmentUrl;
+      delete lessonC.assessmentTitle;
+      delete lessonC.assessmentMetadata;
+      changed.modules[2].assessmentMetadata = { type: 'exam', points: 120, attempts: 2 };
+    });
+    assert.deepStrictEqual(changes, [
+      { type: 'assessment-added', path: ['Week 1', 'Lesson B'], to: 'Quiz B' },
+      { type: 'assessment-removed', path: ['Week 1', 'Lesson C'], from: 'Quiz C' },
+      { type: 'assessment-changed', path: ['Final Exam'], field: 'points', from: 100, to: 120 },
+      { type: 'assessment-changed', path: ['Final Exam'], field: 'attempts', from: undefined, to: 2 }
+    ]);
+  });
+
+  it('leaves items with the same title unmatched rather than guessing', async () => {
+    const before = {
+      title: 'Course',
+      modules: [
+        { title: 'Week 1', children: [{ title: 'Review', launchUrl: `${BASE_URL}/review1` }] },
+        { title: 'Week 2', children: [{ title: 'Review', launchUrl: `${BASE_URL}/review2` }] }
+      ]
+    };
+    const after = {
+      title: 'Course',
+      modules: [
+        { title: 'Week 1', children: [] },
+        { title: 'Week 2', children: [] },
+        { title: 'Review', launchUrl: `${BASE_URL}/review3` },
+        { title: 'Review', launchUrl: `${BASE_URL}/review4` }
+      ]
+    };
+
+    const diff = await diffCartridges(before, after);
+    assert.deepStrictEqual(diff.summary, { added: 2, removed: 2 });
+    assert.deepStrictEqual(diff.changes.map(({ type, path }) => `${type} ${path.join(' > ')}`), [
+      'added Review',
+      'added Review',
+      'removed Week 1 > Review',
+      'removed Week 2 > Review'
+    ]);
+  });
+});
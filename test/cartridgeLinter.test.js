@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const path = require('path');
+const { buildCartridge } = require('../src/cartridgeGenerator');
+const { lintCartridge } = require('../src/cartridgeLinter');
+
+const chinese1C = require('./fixtures/chinese1C.json');
+
+// Stand-in XSDs: a reduced CC 1.1 manifest schema and nothing for the link files
+const SCHEMA_DIR = path.join(__dirname, 'fixtures', 'xsd');
+
+/**
+ * Rewrites the manifest of a package
+ * @param {Buffer} zipBuffer - The package
+ * @param {Function} change - Receives the manifest XML and returns the new one
+ * @returns {Buffer} - The changed package
+ */
+function changeManifest(zipBuffer, change) {
+  const zip = new AdmZip(zipBuffer);
+  zip.updateFile('imsmanifest.xml', Buffer.from(change(zip.readAsText('imsmanifest.xml'))));
+  return zip.toBuffer();
+}
+
+describe('lintCartridge', () => {
+  it('finds nothing wrong with a generated cartridge', async () => {
+    const report = await lintCartridge(await buildCartridge(chinese1C).toBuffer());
+    assert.strictEqual(report.profile, 'cc1.1');
+    assert.deepStrictEqual(report.issues, []);
+  });
+
+  it('leaves the profile unset when the package cannot be read', async () => {
+    const report = await lintCartridge(Buffer.from('not a zip'));
+    assert.strictEqual(report.profile, undefined);
+    assert.deepStrictEqual(report.issues.map(issue => issue.code), ['invalid-package']);
+  });
+
+  it('validates against the XSDs in a schema folder', async () => {
+    const report = await lintCartridge(await buildCartridge(chinese1C).toBuffer(), { schemaDir: SCHEMA_DIR });
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.issues.map(issue => issue.code), ['schema-not-found']);
+    assert.match(report.issues[0].message, /^imslticc_v1p0\.xsd is not in /);
+  });
+
+  it('reports what the XSDs reject', async () => {
+    const broken = changeManifest(await buildCartridge(chinese1C).toBuffer(), xml => xml.replace(/ identifier="M_[0-9a-f]+"/, ''));
+    const report = await lintCartridge(broken, { schemaDir: SCHEMA_DIR });
+    const schemaErrors = report.issues.filter(issue => issue.code === 'schema-invalid');
+    assert.strictEqual(report.valid, false);
+    assert.strictEqual(schemaErrors.length, 1);
+    assert.strictEqual(schemaErrors[0].file, 'imsmanifest.xml');
+    assert.match(schemaErrors[0].message, /^line \d+: .*'identifier' is required/);
+  });
+
+  it('says so when the schema folder cannot be read', async () => {
+    const report = await lintCartridge(await buildCartridge(chinese1C).toBuffer(), { schemaDir: path.join(SCHEMA_DIR, 'missing') });
+    assert.deepStrictEqual(report.issues.map(issue => issue.code), ['schema-failed']);
+  });
+});
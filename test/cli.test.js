@@ -0,0 +1,66 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildCartridge } = require('../src/cartridgeGenerator');
+const { main } = require('../src/cli');
+
+const course = {
+  title: { en: 'Chinese I', zh: '中文一' },
+  language: 'en',
+  modules: [
+    {
+      title: { en: 'Greetings', zh: '问候' },
+      children: [
+        {
+          title: { en: 'Hello', zh: '你好' },
+          launchUrl: 'https://lti.example.com/hello',
+          assessmentUrl: 'https://lti.example.com/hello/quiz',
+          assessmentTitle: { en: 'Hello Quiz', zh: '你好测验' },
+          assessmentMetadata: { points: 10 }
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Runs the CLI and collects what it prints
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<Object>} - { code, output } with the printed lines joined by newlines
+ */
+async function run(argv) {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    const code = await main(argv);
+    return { code, output: log.mock.calls.map(call => call.arguments.join(' ')).join('\n') };
+  } finally {
+    log.mock.restore();
+  }
+}
+
+describe('thincc inspect', () => {
+  it('prints language-map titles in the requested language', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thincc-cli-'));
+    try {
+      const imsccPath = path.join(dir, 'course.imscc');
+      await fs.promises.writeFile(imsccPath, await buildCartridge(course).toBuffer());
+
+      const english = await run(['inspect', imsccPath]);
+      assert.strictEqual(english.code, 0);
+      assert.ok(!english.output.includes('[object Object]'), english.output);
+      assert.match(english.output, /^Chinese I$/m);
+      assert.match(english.output, /- Greetings$/m);
+      assert.match(english.output, /- Hello$/m);
+      assert.match(english.output, /assessment: Hello Quiz \(10 pts\)/);
+
+      const chinese = await run(['inspect', imsccPath, '--locale', 'zh']);
+      assert.match(chinese.output, /^中文一$/m);
+      assert.match(chinese.output, /- 你好$/m);
+      assert.match(chinese.output, /assessment: 你好测验 \(10 pts\)/);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
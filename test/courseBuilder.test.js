@@ -0,0 +1,178 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CourseBuilder, ItemsBuilder } = require('../src/courseBuilder');
+const { buildCartridge, parseCartridge, validateCourse, CourseValidationError } = require('../src/cartridgeGenerator');
+
+const BASE_URL = 'https://lti.example.com/chinese1';
+
+// The course buildExpected() assembles, written out as JSON
+const expected = {
+  title: { en: 'Chinese I', zh: '中文一' },
+  language: 'en',
+  startDate: '2026-09-01',
+  tool: { vendor: { code: 'example', name: 'Example Tools' }, privacyLevel: 'name_only' },
+  custom: { course_code: 'CHN1', term: 'fall' },
+  assignmentGroups: [{ name: 'Quizzes', weight: 40 }, { name: 'Exams', weight: 60 }],
+  metadata: { keywords: ['Chinese'], version: '2' },
+  modules: [
+    {
+      title: 'Welcome',
+      children: [
+        { title: 'Guide', launchUrl: `${BASE_URL}/guide` },
+        { title: 'Syllabus', url: 'https://example.com/syllabus' },
+        { title: 'About', html: '<p>Welcome</p>' }
+      ]
+    },
+    {
+      title: 'Module 01',
+      custom: { module: '1' },
+      children: [
+        {
+          title: 'Greetings',
+          launchUrl: `${BASE_URL}/greetings`,
+          assessmentUrl: `${BASE_URL}/greetings/quiz`,
+          assessmentMetadata: { type: 'quiz', points: 15, assignmentGroup: 'Quizzes' }
+        }
+      ]
+    },
+    {
+      type: 'assessment',
+      title: 'Final Exam',
+      launchUrl: `${BASE_URL}/final`,
+      assessmentMetadata: { type: 'exam', points: 150, assignmentGroup: 'Exams', dueAt: { days: 100 } },
+      id: 'final_exam'
+    }
+  ]
+};
+
+/**
+ * Builds the expected course with chained calls
+ * @returns {CourseBuilder} - The builder
+ */
+function buildExpected() {
+  return new CourseBuilder({ en: 'Chinese I', zh: '中文一' })
+    .language('en')
+    .startDate('2026-09-01')
+    .tool({ vendor: { code: 'example', name: 'Example Tools' } })
+    .tool({ privacyLevel: 'name_only' })
+    .custom({ course_code: 'CHN1' })
+    .custom({ term: 'fall' })
+    .assignmentGroup('Quizzes', 50)
+    .assignmentGroup('Exams', 60)
+    .assignmentGroup('Quizzes', 40)
+    .metadata({ keywords: ['Chinese'] })
+    .metadata({ version: '2' })
+    .module('Welcome', m => m
+      .lti('Guide', `${BASE_URL}/guide`)
+      .webLink('Syllabus', 'https://example.com/syllabus'))
+    .module('Module 01', m => m
+      .lti('Greetings', `${BASE_URL}/greetings`, {
+        assessmentUrl: `${BASE_URL}/greetings/quiz`,
+        assessmentMetadata: { type: 'quiz', points: 15, assignmentGroup: 'Quizzes' }
+      }), { custom: { module: '1' } })
+    // Reopening a module adds to it
+    .module('Welcome', m => m.page('About', '<p>Welcome</p>'))
+    .assessment('Final Exam', `${BASE_URL}/final`, { type: 'exam', points: 150, assignmentGroup: 'Exams', dueAt: { days: 100 } }, { id: 'final_exam' });
+}
+
+describe('CourseBuilder', () => {
+  it('builds the same course JSON and cartridge as the equivalent JSON', () => {
+    const builder = buildExpected();
+
+    assert.deepStrictEqual(builder.validate(), []);
+    assert.deepStrictEqual(builder.build(), expected);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(builder)), expected);
+    assert.deepStrictEqual(builder.toCartridge({ profile: 'cc1.3' }).files, buildCartridge(expected, { profile: 'cc1.3' }).files);
+  });
+
+  it('reports the same errors as validateCourse and refuses to build an invalid course', () => {
+    const builder = new CourseBuilder('Broken')
+      .lti('Lesson', 'not a url')
+      .assessment('Exam', `${BASE_URL}/exam`, { assignmentGroup: 'Missing' });
+    const json = builder.toJSON();
+
+    assert.ok(builder.validate().length > 0);
+    assert.deepStrictEqual(builder.validate(), validateCourse(json));
+    assert.throws(() => builder.build(), err => {
+      assert.ok(err instanceof CourseValidationError);
+      assert.deepStrictEqual(err.errors, validateCourse(json));
+      return true;
+    });
+    assert.throws(() => builder.toCartridge(), CourseValidationError);
+  });
+
+  it('modifies a copy of existing course JSON', () => {
+    const fixture = require('./fixtures/chinese1C.json');
+    const original = structuredClone(fixture);
+    const builder = new CourseBuilder(fixture)
+      .module('Welcome', m => m.webLink('Office Hours', 'https://example.com/office-hours'))
+      .edit(['Module 01: My Life', '01.00 My Life Pretest'], { launchUrl: `${BASE_URL}/pretest` })
+      .edit('Getting Started', (item, children) => children.lti('00.02 Setup', `${BASE_URL}/setup`))
+      .remove(['Assessments', 'Midterm Exam'])
+      .remove(['Welcome', 'Lessons']);
+
+    // find returns the item itself, so changes made through it stick
+    builder.find(['Assessments', 'Final Exam']).assessmentMetadata.points = 200;
+
+    assert.deepStrictEqual(fixture, original);
+    const course = builder.build();
+    const titles = items => items.map(item => item.title);
+
+    assert.deepStrictEqual(titles(course.modules[0].children), ['eTeacher Guide', 'Course Information', 'Office Hours']);
+    assert.strictEqual(course.modules[2].children[0].launchUrl, `${BASE_URL}/pretest`);
+    assert.deepStrictEqual(titles(course.modules[1].children), ['00.01 Things to Know', '00.02 Setup']);
+    assert.deepStrictEqual(titles(course.modules[3].children), ['Final Exam']);
+    assert.strictEqual(course.modules[3].children[0].assessmentMetadata.points, 200);
+
+    // Matches the same edits made to the JSON by hand
+    const byHand = structuredClone(original);
+    byHand.modules[0].children.splice(2, 1);
+    byHand.modules[0].children.push({ title: 'Office Hours', url: 'https://example.com/office-hours' });
+    byHand.modules[1].children.push({ title: '00.02 Setup', launchUrl: `${BASE_URL}/setup` });
+    byHand.modules[2].children[0].launchUrl = `${BASE_URL}/pretest`;
+    byHand.modules[3].children.shift();
+    byHand.modules[3].children[0].assessmentMetadata.points = 200;
+    assert.deepStrictEqual(course, byHand);
+    assert.deepStrictEqual(builder.toCartridge().files, buildCartridge(byHand).files);
+  });
+
+  it('modifies a parsed cartridge', async () => {
+    const builder = await CourseBuilder.fromCartridge(path.join(__dirname, '..', 'chinese1C.imscc'));
+    builder
+      .edit(['Module 01: My Life', '01.02 Call Me Maybe'], { title: '01.02 Call Me' })
+      .module('Module 01: My Life', m => m.assessment('01.03 Module Exam', `${BASE_URL}/module1/exam`, { type: 'exam', points: 50 }));
+
+    const parsed = await parseCartridge(await builder.toCartridge().toBuffer());
+    const module1 = parsed.modules.find(item => item.title === 'Module 01: My Life');
+    assert.deepStrictEqual(module1.children.map(item => item.title), [
+      '01.00 My Life Pretest',
+      '01.01 Greetings and Introductions',
+      '01.02 Call Me',
+      '01.03 Module Exam'
+    ]);
+    assert.deepStrictEqual(module1.children[3].assessmentMetadata, { type: 'exam', points: 50 });
+  });
+
+  it('throws when editing or removing an item that does not exist', () => {
+    const builder = new CourseBuilder('Course').module('Week 1');
+    assert.throws(() => builder.edit(['Week 1', 'Missing'], { url: 'https://example.com' }), /No item titled \["Week 1","Missing"\]/);
+    assert.throws(() => builder.remove('Missing'), /No item titled "Missing"/);
+  });
+});
+
+describe('ItemsBuilder', () => {
+  it('edits the item list it is given in place', () => {
+    const items = [{ title: { en: 'Week 1', zh: '第一周' }, children: [] }];
+    new ItemsBuilder(items)
+      .module('第一周', m => m.lti('Lesson', `${BASE_URL}/lesson`))
+      .webLink('Link', 'https://example.com/link')
+      .item({ title: 'Page', html: '<p>Hi</p>' });
+
+    assert.deepStrictEqual(items, [
+      { title: { en: 'Week 1', zh: '第一周' }, children: [{ title: 'Lesson', launchUrl: `${BASE_URL}/lesson` }] },
+      { title: 'Link', url: 'https://example.com/link' },
+      { title: 'Page', html: '<p>Hi</p>' }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCourseFile, loadVariableSets } = require('../src/courseLoader');
+const { validateCourse } = require('../src/courseValidator');
+
+// Dates written the way people type them in YAML, without quotes
+const COURSE_YAML = `title: Dates
+startDate: 2026-09-01
+metadata:
+  contributors:
+    - role: author
+      name: Jane Doe
+      date: 2026-08-15
+modules:
+  - type: assessment
+    title: Final Exam
+    launchUrl: https://lti.example.com/course/final
+    assessmentMetadata:
+      points: 50
+      unlockAt: 2026-12-14
+      dueAt: 2026-12-15T23:59:00-05:00
+      lockAt: 2026-12-16T08:00:00Z
+`;
+
+// Quizzes sharing their settings through an anchor and merge keys
+const MERGE_YAML = `title: Merges
+modules:
+  - title: Quiz 1
+    launchUrl: https://lti.example.com/course/quiz1
+    assessmentUrl: https://lti.example.com/course/quiz1/quiz
+    assessmentMetadata: &quiz
+      type: quiz
+      points: 10
+      attempts: 3
+  - title: Quiz 2
+    launchUrl: https://lti.example.com/course/quiz2
+    assessmentUrl: https://lti.example.com/course/quiz2/quiz
+    assessmentMetadata:
+      <<: *quiz
+      points: 20
+`;
+
+/**
+ * Writes a file to a temporary folder and passes its path to a callback
+ * @param {string} fileName - Name of the file
+ * @param {string} contents - Its text
+ * @param {Function} callback - Receives the path; may return a promise
+ * @returns {Promise<*>} - What the callback returns
+ */
+async function withFile(fileName, contents, callback) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thincc-loader-'));
+  try {
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, contents);
+    return await callback(filePath);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+describe('loadCourseFile', () => {
+  it('keeps unquoted YAML dates as the strings written', async () => {
+    const course = await withFile('course.yaml', COURSE_YAML, loadCourseFile);
+    const metadata = course.modules[0].assessmentMetadata;
+
+    assert.strictEqual(course.startDate, '2026-09-01');
+    assert.strictEqual(course.metadata.contributors[0].date, '2026-08-15');
+    assert.strictEqual(metadata.unlockAt, '2026-12-14');
+    assert.strictEqual(metadata.dueAt, '2026-12-15T23:59:00-05:00');
+    assert.strictEqual(metadata.lockAt, '2026-12-16T08:00:00Z');
+    assert.strictEqual(metadata.points, 50);
+    assert.deepStrictEqual(validateCourse(course), []);
+  });
+
+  it('applies YAML merge keys', async () => {
+    const course = await withFile('course.yaml', MERGE_YAML, loadCourseFile);
+
+    assert.deepStrictEqual(course.modules[0].assessmentMetadata, { type: 'quiz', points: 10, attempts: 3 });
+    assert.deepStrictEqual(course.modules[1].assessmentMetadata, { type: 'quiz', points: 20, attempts: 3 });
+    assert.deepStrictEqual(validateCourse(course), []);
+  });
+});
+
+describe('loadVariableSets', () => {
+  it('keeps unquoted YAML dates as strings', async () => {
+    const sets = await withFile('variables.yml', '- term: Fall\n  start: 2026-09-01\n', loadVariableSets);
+    assert.deepStrictEqual(sets, [{ term: 'Fall', start: '2026-09-01' }]);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadVariableSets } = require('../src/courseLoader');
+const { applyTemplate } = require('../src/courseTemplate');
+
+const template = {
+  title: 'Chinese {{version}}',
+  custom: { course_code: '{{code}}', version: '{{version}}' },
+  modules: [
+    {
+      type: 'assessment',
+      title: 'Final Exam',
+      launchUrl: 'https://lti.example.com/{{code}}/final',
+      assessmentMetadata: { points: '{{examPoints}}', proctored: '{{proctored}}' }
+    }
+  ]
+};
+
+/**
+ * Writes a variables CSV to a temporary folder and reads it back
+ * @param {string} contents - CSV text
+ * @returns {Promise<Array<Object>>} - The variable sets
+ */
+async function loadCsv(contents) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thincc-vars-'));
+  try {
+    const csvPath = path.join(dir, 'variables.csv');
+    await fs.promises.writeFile(csvPath, contents);
+    return await loadVariableSets(csvPath);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+describe('batch variables', () => {
+  it('keeps CSV values as written', async () => {
+    const [variables] = await loadCsv('code,version,examPoints,proctored\n0101,1.10,50,true\n');
+    assert.deepStrictEqual(variables, { code: '0101', version: '1.10', examPoints: '50', proctored: 'true' });
+  });
+
+  it('converts whole placeholders only where the schema expects a number or boolean', async () => {
+    const [variables] = await loadCsv('code,version,examPoints,proctored\n0101,1.10,50,true\n');
+    const course = applyTemplate(template, variables);
+
+    assert.strictEqual(course.title, 'Chinese 1.10');
+    assert.deepStrictEqual(course.custom, { course_code: '0101', version: '1.10' });
+    assert.strictEqual(course.modules[0].launchUrl, 'https://lti.example.com/0101/final');
+    assert.deepStrictEqual(course.modules[0].assessmentMetadata, { points: 50, proctored: true });
+  });
+
+  it('leaves text that is not a number where a number is expected for validation to report', () => {
+    const course = applyTemplate(template, { code: '0101', version: '1', examPoints: 'fifty', proctored: 'yes' });
+    assert.deepStrictEqual(course.modules[0].assessmentMetadata, { points: 'fifty', proctored: 'yes' });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateCourse, CourseValidationError } = require('../src/courseValidator');
+
+const LAUNCH_URL = 'https://lti.example.com/course/lesson';
+
+/**
+ * Validates a course with the given modules
+ * @param {Array<Object>} modules - Items of the course
+ * @param {Object} fields - Further course fields
+ * @returns {Array<Object>} - The validation errors
+ */
+function validateModules(modules, fields = {}) {
+  return validateCourse({ title: 'Course', ...fields, modules });
+}
+
+describe('validateCourse', () => {
+  it('accepts the test fixtures', () => {
+    ['chinese1C', 'chinese1C-package', 'showcase'].forEach(name => {
+      assert.deepStrictEqual(validateCourse(require(`./fixtures/${name}.json`)), [], name);
+    });
+  });
+
+  it('reports missing required fields', () => {
+    assert.deepStrictEqual(validateCourse({ modules: [] }), [{ path: 'title', message: 'is required' }]);
+  });
+
+  it('reports misspelt properties on the course, items and assessment settings', () => {
+    const errors = validateModules([
+      { title: 'Lesson', launchUrl: LAUNCH_URL, assesmentUrl: `${LAUNCH_URL}/quiz` },
+      {
+        title: 'Quiz',
+        launchUrl: LAUNCH_URL,
+        assessmentUrl: `${LAUNCH_URL}/quiz`,
+        assessmentMetadata: { pionts: 10, timelimit: 30, colour: 'red' }
+      }
+    ], { descripton: 'Typo' });
+
+    assert.deepStrictEqual(errors, [
+      { path: 'descripton', message: 'is not a known property (did you mean description?)' },
+      { path: 'modules[0].assesmentUrl', message: 'is not a known property (did you mean assessmentUrl?)' },
+      { path: 'modules[1].assessmentMetadata.pionts', message: 'is not a known property (did you mean points?)' },
+      { path: 'modules[1].assessmentMetadata.timelimit', message: 'is not a known property (did you mean timeLimit?)' },
+      { path: 'modules[1].assessmentMetadata.colour', message: 'is not a known property' }
+    ]);
+  });
+
+  it('explains items whose type cannot be worked out', () => {
+    assert.deepStrictEqual(validateModules([{ title: 'Empty' }]), [
+      { path: 'modules[0]', message: 'needs launchUrl or url or html or children' }
+    ]);
+  });
+
+  it('reports fields the item type does not use', () => {
+    assert.deepStrictEqual(validateModules([{ type: 'weblink', title: 'Link', url: LAUNCH_URL, launchUrl: LAUNCH_URL }]), [
+      { path: 'modules[0].launchUrl', message: 'is not used by this type of item' }
+    ]);
+  });
+
+  it('reports fields that need another field', () => {
+    assert.deepStrictEqual(validateModules([{ title: 'Lesson', launchUrl: LAUNCH_URL, assessmentMetadata: { points: 1 } }]), [
+      { path: 'modules[0]', message: 'requires assessmentUrl when assessmentMetadata is set' }
+    ]);
+  });
+
+  it('reports values of the wrong form', () => {
+    const errors = validateModules([
+      { title: 'Lesson', launchUrl: 'ftp://lti.example.com/lesson' },
+      { type: 'quizz', title: 'Quiz', launchUrl: LAUNCH_URL },
+      { type: 'assessment', title: 'Exam', launchUrl: LAUNCH_URL, assessmentMetadata: { dueAt: 'soon' } }
+    ], { title: { en: '' }, startDate: 'Sept 1', custom: { 'bad name': 'x' } });
+
+    assert.deepStrictEqual(errors.map(error => error.path), [
+      'title',
+      'custom.bad name',
+      'startDate',
+      'modules[0].launchUrl',
+      'modules[1].type',
+      'modules[2].assessmentMetadata.dueAt'
+    ]);
+    assert.match(errors[0].message, /^must be a string or an object of strings keyed by language/);
+    assert.match(errors[1].message, /^is not a valid name/);
+    assert.match(errors[2].message, /^must be an ISO date or date-time/);
+    assert.strictEqual(errors[3].message, 'must be a valid http(s) URL');
+    assert.strictEqual(errors[4].message, 'must be one of "lti", "assessment", "weblink", "html", "folder"');
+    assert.match(errors[5].message, /^must be an ISO date .* or \{ "days": n, "time": "HH:MM" \} after startDate$/);
+  });
+
+  it('checks assignment groups once the shape is right', () => {
+    const errors = validateModules([
+      { type: 'assessment', title: 'Exam', launchUrl: LAUNCH_URL, assessmentMetadata: { assignmentGroup: 'Exams' } }
+    ]);
+    assert.deepStrictEqual(errors, [
+      { path: 'modules[0].assessmentMetadata.assignmentGroup', message: '"Exams" is not one of the course\'s assignmentGroups' }
+    ]);
+  });
+});
+
+describe('CourseValidationError', () => {
+  it('lists every error in its message', () => {
+    const errors = validateCourse({ title: 'Course', descripton: 'Typo', modules: [{ title: 'Empty' }] });
+    const err = new CourseValidationError(errors);
+
+    assert.strictEqual(err.name, 'CourseValidationError');
+    assert.strictEqual(err.errors, errors);
+    assert.strictEqual(err.message, [
+      'Invalid course data:',
+      '  descripton: is not a known property (did you mean description?)',
+      '  modules[0]: needs launchUrl or url or html or children'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildCartridge, createCartridgePackage, generateManifest } = require('../src/cartridgeGenerator');
+const { GOLDEN_DIR, listFiles } = require('./goldenFiles');
+
+const chinese1C = require('./fixtures/chinese1C.json');
+const showcase = require('./fixtures/showcase.json');
+
+/**
+ * Reads the files of a zip package
+ * @param {string|Buffer} zip - Path to the package, or its contents
+ * @returns {Object} - File contents keyed by entry name; folder entries are left out
+ */
+function zipContents(zip) {
+  return Object.fromEntries(new AdmZip(zip).getEntries()
+    .filter(entry => !entry.isDirectory)
+    .map(entry => [entry.entryName, entry.getData().toString('utf8')]));
+}
+
+describe('createCartridgePackage', () => {
+  let tmpDir;
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thincc-test-'));
+  });
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('zips an in-memory cartridge with every file at its package path', async () => {
+    const cartridge = buildCartridge(showcase, { profile: 'cc1.3', platforms: ['canvas', 'd2l', 'moodle'] });
+    const outputBase = path.join(tmpDir, 'showcase');
+    await createCartridgePackage(cartridge, outputBase, { quiet: true });
+
+    assert.deepStrictEqual(zipContents(`${outputBase}.imscc`), cartridge.files);
+  });
+
+  it('puts the manifest at the root of the package', async () => {
+    const outputBase = path.join(tmpDir, 'root-manifest');
+    await createCartridgePackage(buildCartridge(chinese1C), outputBase, { quiet: true });
+
+    const names = new AdmZip(`${outputBase}.imscc`).getEntries().map(entry => entry.entryName);
+    assert.ok(names.includes('imsmanifest.xml'));
+    names.filter(name => name.endsWith('.xml') && name !== 'imsmanifest.xml')
+      .forEach(name => assert.match(name, /^i_[0-9a-f]{12}\/(basiclti|lti_advantage)\.xml$/));
+  });
+
+  it('zips a cartridge folder from disk', async () => {
+    const sourceDir = path.join(GOLDEN_DIR, 'chinese1C');
+    const outputBase = path.join(tmpDir, 'from-folder');
+    await createCartridgePackage(sourceDir, outputBase, { quiet: true });
+
+    const contents = zipContents(`${outputBase}.imscc`);
+    assert.deepStrictEqual(Object.keys(contents).sort(), listFiles(sourceDir));
+    Object.keys(contents).forEach(name => {
+      assert.strictEqual(contents[name], fs.readFileSync(path.join(sourceDir, name), 'utf8'), name);
+    });
+  });
+
+  it('creates the output folder when it does not exist', async () => {
+    const outputBase = path.join(tmpDir, 'nested', 'deeper', 'course');
+    await createCartridgePackage(buildCartridge(chinese1C), outputBase, { quiet: true });
+    assert.ok(fs.existsSync(`${outputBase}.imscc`));
+  });
+
+  it('matches the buffer from toBuffer()', async () => {
+    const cartridge = buildCartridge(chinese1C);
+    const outputBase = path.join(tmpDir, 'buffer');
+    await createCartridgePackage(cartridge, outputBase, { quiet: true });
+
+    assert.deepStrictEqual(zipContents(`${outputBase}.imscc`), zipContents(await cartridge.toBuffer()));
+  });
+
+  it('logs the summary lines to the logger and reports progress and completion', async () => {
+    const events = new EventEmitter();
+    const progress = [];
+    const done = [];
+    events.on('zip-progress', details => progress.push(details));
+    events.on('done', details => done.push(details));
+
+    const lines = [];
+    const logger = { info: message => lines.push(message), warn: message => lines.push(message) };
+    const cartridge = buildCartridge(chinese1C);
+    const outputBase = path.join(tmpDir, 'reported');
+    await createCartridgePackage(cartridge, outputBase, { events, logger });
+
+    const packagePath = `${outputBase}.imscc`;
+    const bytes = fs.statSync(packagePath).size;
+    assert.deepStrictEqual(lines, [`Cartridge package created: ${packagePath}`, `Total bytes: ${bytes}`]);
+    assert.deepStrictEqual(done, [{ package: packagePath, bytes }]);
+
+    const last = progress[progress.length - 1];
+    assert.strictEqual(last.entries, last.totalEntries);
+    assert.ok(last.entries >= Object.keys(cartridge.files).length);
+  });
+
+  it('logs nothing in quiet mode', async () => {
+    const lines = [];
+    const logger = { info: message => lines.push(message), warn: message => lines.push(message) };
+    await createCartridgePackage(buildCartridge(chinese1C), path.join(tmpDir, 'quiet'), { logger, quiet: true });
+    assert.deepStrictEqual(lines, []);
+  });
+
+  it('packages what generateManifest writes to disk', async () => {
+    const manifestPath = path.join(tmpDir, 'generated', 'imsmanifest.xml');
+    await generateManifest(chinese1C, manifestPath, true, { quiet: true });
+
+    assert.deepStrictEqual(zipContents(path.join(tmpDir, 'generated.imscc')), buildCartridge(chinese1C).files);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { importCourseCsv, CsvImportError } = require('../src/csvImporter');
+
+const HEADER = 'Module,Title,Launch URL,Assessment URL,Points,Type,Proctored';
+
+/**
+ * Imports an outline that is expected to fail
+ * @param {string} csvText - The CSV content
+ * @returns {Array<Object>} - The row errors of the CsvImportError thrown
+ */
+function importErrors(csvText) {
+  try {
+    importCourseCsv(csvText);
+  } catch (err) {
+    assert.ok(err instanceof CsvImportError, err.stack);
+    return err.errors;
+  }
+  assert.fail('the outline was imported');
+}
+
+describe('importCourseCsv', () => {
+  it('nests modules named with ">" and reuses modules named again', () => {
+    const course = importCourseCsv([
+      HEADER,
+      'Unit 1 > Week 1,Hello,https://lti.example.com/hello,https://lti.example.com/hello/quiz,10,Quiz,yes',
+      'Unit 1 > Week 2,Goodbye,https://lti.example.com/goodbye,,,,',
+      ',,,,,,',
+      'Unit 1,Review,https://lti.example.com/review'
+    ].join('\n'), { title: 'Chinese I' });
+
+    assert.deepStrictEqual(course, {
+      title: 'Chinese I',
+      modules: [
+        {
+          title: 'Unit 1',
+          children: [
+            {
+              title: 'Week 1',
+              children: [
+                {
+                  title: 'Hello',
+                  launchUrl: 'https://lti.example.com/hello',
+                  assessmentUrl: 'https://lti.example.com/hello/quiz',
+                  assessmentMetadata: { type: 'quiz', points: 10, proctored: true }
+                }
+              ]
+            },
+            { title: 'Week 2', children: [{ title: 'Goodbye', launchUrl: 'https://lti.example.com/goodbye' }] },
+            { title: 'Review', launchUrl: 'https://lti.example.com/review' }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('matches header spellings and takes another delimiter', () => {
+    const course = importCourseCsv('module;TITLE;launch_url\nUnit 1;Hello;https://lti.example.com/hello\n', {}, { delimiter: ';' });
+    assert.strictEqual(course.title, 'Untitled Course');
+    assert.deepStrictEqual(course.modules[0].children, [{ title: 'Hello', launchUrl: 'https://lti.example.com/hello' }]);
+  });
+
+  it('reports every bad row with its line and column', () => {
+    const errors = importErrors([
+      HEADER,
+      'Unit 1,Hello,https://lti.example.com/hello,https://lti.example.com/hello/quiz,ten,Test,maybe',
+      'Unit 1,,https://lti.example.com/untitled,,,exam,',
+      'Unit 1,Broken,not a url,,,,'
+    ].join('\n'));
+
+    assert.deepStrictEqual(errors, [
+      { row: 2, column: 'points', message: '"ten" is not a number' },
+      { row: 2, column: 'type', message: '"Test" must be quiz or exam' },
+      { row: 2, column: 'proctored', message: '"maybe" is not yes/no or true/false' },
+      { row: 3, column: 'title', message: 'is required' },
+      { row: 3, column: 'type', message: 'is set but assessmentUrl is empty' },
+      { row: 4, column: 'launchUrl', message: 'must be a valid http(s) URL' }
+    ]);
+  });
+
+  it('reports a module cell that names no module as a row error', () => {
+    const errors = importErrors([
+      HEADER,
+      'Unit 1,Hello,https://lti.example.com/hello',
+      '>,Lost,https://lti.example.com/lost',
+      ' > ,Also lost,https://lti.example.com/also-lost'
+    ].join('\n'));
+
+    assert.deepStrictEqual(errors, [
+      { row: 3, column: 'module', message: '">" names no module' },
+      { row: 4, column: 'module', message: '">" names no module' }
+    ]);
+  });
+
+  it('reports missing columns and empty outlines', () => {
+    assert.deepStrictEqual(importErrors('Module,Title\nUnit 1,Hello\n'), [
+      { row: 1, message: 'missing column(s): launchUrl' }
+    ]);
+    assert.deepStrictEqual(importErrors(''), [{ row: 1, message: 'outline is empty' }]);
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildCartridge,
+  generateManifest,
+  parseCartridge,
+  CourseValidationError
+} = require('../src/cartridgeGenerator');
+const { hashId } = require('../src/identifiers');
+const { assertMatchesGolden, listFiles } = require('./goldenFiles');
+
+const chinese1C = require('./fixtures/chinese1C.json');
+const showcase = require('./fixtures/showcase.json');
+
+// Options for the showcase golden: the newest profile and every platform with course files or extensions
+const SHOWCASE_OPTIONS = { profile: 'cc1.3', platforms: ['canvas', 'd2l', 'moodle'] };
+
+// Logger that keeps the console clean and records what would have been printed
+function recordingLogger() {
+  const lines = [];
+  return {
+    lines,
+    info: message => lines.push(message),
+    warn: message => lines.push(`warning: ${message}`)
+  };
+}
+
+/**
+ * Lists the launch links of a course as "title > path url" lines
+ * @param {Array<Object>} items - Course items
+ * @param {Array<string>} parentPath - Titles of the enclosing modules
+ * @returns {Array<string>} - One line per item with a launch URL
+ */
+function launchLinks(items, parentPath = []) {
+  return items.flatMap(item => {
+    const titlePath = [...parentPath, item.title];
+    return [
+      ...(item.launchUrl ? [`${titlePath.join(' > ')} ${item.launchUrl}`] : []),
+      ...launchLinks(item.children || [], titlePath)
+    ];
+  });
+}
+
+describe('golden cartridges', () => {
+  it('builds chinese1C with the default profile', () => {
+    assertMatchesGolden(buildCartridge(chinese1C).files, 'chinese1C');
+  });
+
+  it('builds the showcase course as cc1.3 for Canvas, D2L and Moodle', () => {
+    assertMatchesGolden(buildCartridge(showcase, SHOWCASE_OPTIONS).files, 'showcase-cc1.3');
+  });
+
+  it('builds every profile of chinese1C', () => {
+    ['cc1.2', 'cc1.3'].forEach(profile => {
+      assertMatchesGolden(buildCartridge(chinese1C, { profile }).files, `chinese1C-${profile}`);
+    });
+  });
+
+  it('keeps the chinese1C fixture in step with chinese1C.imscc', async () => {
+    // The packaged cartridge predates the assessments, so the fixture holds all of its links and more
+    const packaged = await parseCartridge(path.join(__dirname, '..', 'chinese1C.imscc'));
+    const fixtureLinks = launchLinks(chinese1C.modules);
+    assert.strictEqual(packaged.title, chinese1C.title);
+    launchLinks(packaged.modules).forEach(link => assert.ok(fixtureLinks.includes(link), link));
+  });
+});
+
+describe('buildCartridge', () => {
+  it('derives item identifiers from title paths', () => {
+    const { manifest } = buildCartridge(chinese1C);
+    assert.ok(manifest.includes(`identifier="${hashId('I_', ['Welcome', 'Lessons'])}"`));
+    assert.ok(manifest.includes(`identifier="${hashId('I_', ['Module 01: My Life', '01.00 My Life Pretest', '#assessment'])}"`));
+  });
+
+  it('keeps identifiers when the locale changes only the displayed titles', () => {
+    const english = buildCartridge(showcase, SHOWCASE_OPTIONS);
+    const spanish = buildCartridge(showcase, { ...SHOWCASE_OPTIONS, locale: 'es' });
+    assert.deepStrictEqual(Object.keys(spanish.files), Object.keys(english.files));
+    assert.ok(spanish.manifest.includes('<title>Bienvenida</title>'));
+    assert.ok(!english.manifest.includes('<title>Bienvenida</title>'));
+  });
+
+  it('round-trips through parseCartridge', async () => {
+    const parsed = await parseCartridge(await buildCartridge(chinese1C).toBuffer());
+    assert.deepStrictEqual(launchLinks(parsed.modules), launchLinks(chinese1C.modules));
+    assert.strictEqual(parsed.modules[2].children[3].assessmentTitle, 'Module 01 Exam');
+    assert.deepStrictEqual(parsed.modules[2].children[3].assessmentMetadata, chinese1C.modules[2].children[3].assessmentMetadata);
+  });
+
+  it('reports invalid courses with a CourseValidationError', () => {
+    assert.throws(() => buildCartridge({ title: '', modules: [{ launchUrl: 'not a url' }] }), err => {
+      assert.ok(err instanceof CourseValidationError);
+      assert.ok(err.errors.length > 0);
+      return true;
+    });
+  });
+
+  it('emits an item-generated event for every organization item', () => {
+    const events = new EventEmitter();
+    const items = [];
+    events.on('item-generated', item => items.push(item));
+    buildCartridge(chinese1C, { events });
+
+    assert.deepStrictEqual(items[0], { id: hashId('I_', ['Welcome']), type: 'folder', title: 'Welcome', path: ['Welcome'] });
+    assert.deepStrictEqual(
+      items.filter(item => item.type === 'assessment').map(item => item.title),
+      [
+        'My Life Pretest Quiz', 'Greetings and Introductions Quiz', 'Call Me Maybe Quiz', 'Module 01 Exam',
+        'Chinese I Midterm Exam', 'Chinese I Final Exam'
+      ]
+    );
+    assert.strictEqual(new Set(items.map(item => item.id)).size, items.length);
+  });
+});
+
+describe('generateManifest', () => {
+  let tmpDir;
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thincc-test-'));
+  });
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes the golden files next to the manifest and packages them', async () => {
+    const logger = recordingLogger();
+    const manifestPath = path.join(tmpDir, 'chinese1C', 'imsmanifest.xml');
+    const manifest = await generateManifest(chinese1C, manifestPath, true, { logger });
+
+    const cartridgeDir = path.dirname(manifestPath);
+    const written = Object.fromEntries(listFiles(cartridgeDir).map(name => [
+      name,
+      fs.readFileSync(path.join(cartridgeDir, name), 'utf8')
+    ]));
+    assert.strictEqual(manifest, written['imsmanifest.xml']);
+    assertMatchesGolden(written, 'chinese1C');
+
+    const packagePath = path.join(tmpDir, 'chinese1C.imscc');
+    assert.ok(fs.existsSync(packagePath));
+    assert.deepStrictEqual(logger.lines, [
+      `Cartridge package created: ${packagePath}`,
+      `Total bytes: ${fs.statSync(packagePath).size}`
+    ]);
+  });
+
+  it('skips the package when asked', async () => {
+    const manifestPath = path.join(tmpDir, 'no-package', 'imsmanifest.xml');
+    await generateManifest(chinese1C, manifestPath, false);
+    assert.ok(fs.existsSync(manifestPath));
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'no-package.imscc')));
+  });
+
+  it('returns the manifest without writing when there is no output path', async () => {
+    assert.strictEqual(await generateManifest(chinese1C), buildCartridge(chinese1C).manifest);
+  });
+
+  it('rejects invalid courses before writing anything', async () => {
+    const manifestPath = path.join(tmpDir, 'invalid', 'imsmanifest.xml');
+    await assert.rejects(generateManifest({ title: 'Broken' }, manifestPath), CourseValidationError);
+    assert.ok(!fs.existsSync(path.dirname(manifestPath)));
+  });
+
+  it('reports progress through events and stays silent in quiet mode', async () => {
+    const events = new EventEmitter();
+    const seen = { 'item-generated': 0, 'resource-written': 0, 'zip-progress': 0, warning: 0, done: [] };
+    events.on('item-generated', () => seen['item-generated']++);
+    events.on('resource-written', () => seen['resource-written']++);
+    events.on('zip-progress', () => seen['zip-progress']++);
+    events.on('warning', () => seen.warning++);
+    events.on('done', report => seen.done.push(report));
+
+    const logger = recordingLogger();
+    const manifestPath = path.join(tmpDir, 'events', 'imsmanifest.xml');
+    await generateManifest(chinese1C, manifestPath, true, { events, logger, quiet: true });
+
+    const fileCount = Object.keys(buildCartridge(chinese1C).files).length;
+    const packagePath = path.join(tmpDir, 'events.imscc');
+    assert.deepStrictEqual(logger.lines, []);
+    assert.strictEqual(seen['item-generated'], 20);
+    assert.strictEqual(seen['resource-written'], fileCount);
+    assert.ok(seen['zip-progress'] > 0);
+    assert.strictEqual(seen.warning, 0);
+    assert.deepStrictEqual(seen.done, [{
+      manifest: manifestPath,
+      files: fileCount,
+      package: packagePath,
+      bytes: fs.statSync(packagePath).size
+    }]);
+  });
+});
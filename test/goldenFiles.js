@@ -0,0 +1,46 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Golden cartridges are checked in under test/golden; UPDATE_GOLDEN=1 rewrites them
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * Lists the files under a folder
+ * @param {string} dir - Folder to list
+ * @returns {Array<string>} - Paths relative to the folder, with forward slashes, sorted
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .map(name => name.split(path.sep).join('/'))
+    .filter(name => fs.statSync(path.join(dir, name)).isFile())
+    .sort();
+}
+
+/**
+ * Compares cartridge files with a golden copy, file by file
+ * @param {Object} files - File contents keyed by their path in the package
+ * @param {string} name - Name of the golden folder under test/golden
+ */
+function assertMatchesGolden(files, name) {
+  const dir = path.join(GOLDEN_DIR, name);
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(files).forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), files[file]);
+    });
+  }
+
+  assert.deepStrictEqual(Object.keys(files).sort(), listFiles(dir), `files of golden cartridge ${name}`);
+  Object.keys(files).forEach(file => {
+    assert.strictEqual(files[file], fs.readFileSync(path.join(dir, file), 'utf8'), `${name}/${file}`);
+  });
+}
+
+module.exports = {
+  GOLDEN_DIR,
+  assertMatchesGolden,
+  listFiles
+};
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createIdGenerator, hashId, IdentifierCollisionError } = require('../src/identifiers');
+
+describe('hashId', () => {
+  it('derives the same identifier from the same parts', () => {
+    assert.strictEqual(hashId('I_', ['Welcome', 'Lessons']), hashId('I_', ['Welcome', 'Lessons']));
+    assert.match(hashId('I_', ['Welcome']), /^I_[0-9a-f]{12}$/);
+  });
+
+  it('keeps parts apart, so joining titles differently changes the identifier', () => {
+    assert.notStrictEqual(hashId('I_', ['a b', 'c']), hashId('I_', ['a', 'b c']));
+    assert.notStrictEqual(hashId('I_', ['Welcome']), hashId('M_', ['Welcome']));
+  });
+});
+
+describe('createIdGenerator', () => {
+  it('derives item identifiers from the title path', () => {
+    const ids = createIdGenerator();
+    assert.strictEqual(ids.itemId(['Welcome', 'Lessons']), hashId('I_', ['Welcome', 'Lessons']));
+    assert.strictEqual(createIdGenerator().itemId(['Welcome', 'Lessons']), hashId('I_', ['Welcome', 'Lessons']));
+  });
+
+  it('numbers items that share a title under the same parent', () => {
+    const ids = createIdGenerator();
+    const first = ids.itemId(['Unit 1', 'Review']);
+    const second = ids.itemId(['Unit 1', 'Review']);
+    assert.strictEqual(first, hashId('I_', ['Unit 1', 'Review']));
+    assert.strictEqual(second, hashId('I_', ['Unit 1', 'Review', '1']));
+  });
+
+  it('uses explicit ids verbatim and refuses to hand them out twice', () => {
+    const ids = createIdGenerator();
+    assert.strictEqual(ids.itemId(['Welcome'], 'intro'), 'intro');
+    assert.throws(() => ids.itemId(['Other'], 'intro'), IdentifierCollisionError);
+  });
+
+  it('treats identifiers differing only in case as colliding, since they share a folder', () => {
+    const ids = createIdGenerator();
+    ids.itemId(['A'], 'Intro');
+    assert.throws(() => ids.itemId(['B'], 'intro'), err => {
+      assert.ok(err instanceof IdentifierCollisionError);
+      assert.strictEqual(err.identifier, 'intro');
+      assert.match(err.message, /"B"/);
+      return true;
+    });
+  });
+
+  it('reserves the identifiers of fixed manifest elements', () => {
+    assert.throws(() => createIdGenerator().itemId(['Root'], 'root'), IdentifierCollisionError);
+  });
+
+  it('gives each item one resource identifier', () => {
+    const ids = createIdGenerator();
+    const itemId = ids.itemId(['Welcome']);
+    assert.strictEqual(ids.resourceId(itemId), `${itemId}_R`);
+    assert.throws(() => ids.resourceId(itemId), IdentifierCollisionError);
+  });
+});
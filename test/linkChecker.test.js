@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { checkLinks } = require('../src/linkChecker');
+
+const course = {
+  title: 'Links',
+  modules: [
+    {
+      title: 'Week 1',
+      children: [
+        { title: 'Lesson', launchUrl: 'https://lti.example.com/course/lesson' },
+        { title: 'Guide', url: 'https://docs.example.com/guide' },
+        { title: 'Guide again', url: 'https://docs.example.com/guide' }
+      ]
+    },
+    { type: 'assessment', title: 'Final Exam', launchUrl: 'https://lti.example.com/course/final' }
+  ]
+};
+
+/**
+ * Makes a fetch stand-in that answers from a table and records each request
+ * @param {Object} answers - Per URL, a status, a { HEAD, GET } map of statuses, or a function
+ *   called with the request options; unlisted URLs answer 200
+ * @returns {Function} - The fetch function, with the requests made in its `calls` array
+ */
+function stubFetch(answers = {}) {
+  const calls = [];
+  const stub = async (url, init) => {
+    calls.push({ url, method: init.method });
+    const answer = answers[url];
+    if (typeof answer === 'function') {
+      return answer(init);
+    }
+    const status = typeof answer === 'object' ? answer[init.method] : answer;
+    return { status: status || 200, body: null };
+  };
+  stub.calls = calls;
+  return stub;
+}
+
+describe('checkLinks', () => {
+  it('lists launch, link and assessment URLs with the JWKS and OIDC URLs an assessment implies', async () => {
+    const report = await checkLinks(course, { fetch: stubFetch() });
+
+    assert.deepStrictEqual(report.links.map(({ path, kind, url }) => ({ path: path.join(' > '), kind, url })), [
+      { path: 'Week 1 > Lesson', kind: 'launch', url: 'https://lti.example.com/course/lesson' },
+      { path: 'Week 1 > Guide', kind: 'link', url: 'https://docs.example.com/guide' },
+      { path: 'Week 1 > Guide again', kind: 'link', url: 'https://docs.example.com/guide' },
+      { path: 'Final Exam', kind: 'assessment', url: 'https://lti.example.com/course/final' },
+      { path: 'Final Exam', kind: 'jwks', url: 'https://lti.example.com/course/jwks' },
+      { path: 'Final Exam', kind: 'oidc', url: 'https://lti.example.com/course/init' }
+    ]);
+    assert.strictEqual(report.ok, true);
+  });
+
+  it('takes the JWKS and OIDC URLs from the tool when it configures them', async () => {
+    const configured = {
+      ...course,
+      tool: { jwksUrl: 'https://auth.example.com/keys', oidcLoginUrl: 'https://auth.example.com/login' }
+    };
+    const report = await checkLinks(configured, { fetch: stubFetch() });
+
+    assert.deepStrictEqual(report.links.filter(link => ['jwks', 'oidc'].includes(link.kind)).map(link => link.url), [
+      'https://auth.example.com/keys',
+      'https://auth.example.com/login'
+    ]);
+  });
+
+  it('requests each distinct URL once', async () => {
+    const fetch = stubFetch();
+    const report = await checkLinks(course, { fetch });
+
+    assert.strictEqual(fetch.calls.length, 5);
+    assert.strictEqual(new Set(fetch.calls.map(call => call.url)).size, 5);
+    assert.deepStrictEqual(report.summary, { urls: 5, ok: 5, failed: 0 });
+  });
+
+  it('retries with GET when HEAD answers 405 or 501', async () => {
+    const fetch = stubFetch({
+      'https://lti.example.com/course/lesson': { HEAD: 405, GET: 200 },
+      'https://docs.example.com/guide': { HEAD: 501, GET: 404 }
+    });
+    const report = await checkLinks(course, { fetch });
+
+    const methods = url => fetch.calls.filter(call => call.url === url).map(call => call.method);
+    assert.deepStrictEqual(methods('https://lti.example.com/course/lesson'), ['HEAD', 'GET']);
+    assert.deepStrictEqual(methods('https://docs.example.com/guide'), ['HEAD', 'GET']);
+    assert.deepStrictEqual(methods('https://lti.example.com/course/final'), ['HEAD']);
+
+    const guide = report.links.find(link => link.kind === 'link');
+    assert.deepStrictEqual([guide.status, guide.ok], [404, false]);
+    assert.deepStrictEqual(report.summary, { urls: 5, ok: 4, failed: 1 });
+  });
+
+  it('counts a 405 as reachable, since launch endpoints often take only POST', async () => {
+    const report = await checkLinks(course, { fetch: stubFetch({ 'https://lti.example.com/course/final': 405 }) });
+
+    const assessment = report.links.find(link => link.kind === 'assessment');
+    assert.deepStrictEqual([assessment.status, assessment.ok], [405, true]);
+    assert.strictEqual(report.ok, true);
+  });
+
+  it('reports timeouts and network errors', async () => {
+    const fetch = stubFetch({
+      // Never answers; the timer stands in for the open socket that keeps a real request alive
+      'https://lti.example.com/course/lesson': init => new Promise((resolve, reject) => {
+        const pending = setInterval(() => {}, 1000);
+        init.signal.addEventListener('abort', () => {
+          clearInterval(pending);
+          reject(init.signal.reason);
+        });
+      }),
+      'https://docs.example.com/guide': () => {
+        throw new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND docs.example.com') });
+      }
+    });
+    const report = await checkLinks(course, { fetch, timeout: 20 });
+
+    const byKind = kind => report.links.find(link => link.kind === kind);
+    assert.deepStrictEqual(
+      [byKind('launch').ok, byKind('launch').status, byKind('launch').error],
+      [false, undefined, 'timed out after 20 ms']
+    );
+    assert.deepStrictEqual(
+      [byKind('link').ok, byKind('link').error],
+      [false, 'getaddrinfo ENOTFOUND docs.example.com']
+    );
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual(report.summary, { urls: 5, ok: 3, failed: 2 });
+  });
+
+  it('rewrites URLs by the longest matching base URL', async () => {
+    const fetch = stubFetch();
+    const report = await checkLinks(course, {
+      fetch,
+      rewrite: {
+        'https://lti.example.com': 'http://localhost:3000',
+        'https://lti.example.com/course': 'http://localhost:4000/stand-in'
+      }
+    });
+
+    assert.deepStrictEqual(report.links.map(link => link.checkedUrl), [
+      'http://localhost:4000/stand-in/lesson',
+      'https://docs.example.com/guide',
+      'https://docs.example.com/guide',
+      'http://localhost:4000/stand-in/final',
+      'http://localhost:4000/stand-in/jwks',
+      'http://localhost:4000/stand-in/init'
+    ]);
+    assert.ok(fetch.calls.every(call => !call.url.startsWith('https://lti.example.com')));
+    assert.strictEqual(report.links[0].url, 'https://lti.example.com/course/lesson');
+  });
+
+  it('rejects course data that does not validate', async () => {
+    await assert.rejects(checkLinks({ title: 'Broken', modules: [{ title: 'Empty' }] }, { fetch: stubFetch() }), {
+      name: 'CourseValidationError'
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { generateBasicLtiXml, generateLtiAdvantageXml } = require('../src/cartridgeGenerator');
+const { getProfile } = require('../src/profiles');
+const { getPlatformAdapters } = require('../src/platforms');
+const { resolveTool } = require('../src/toolConfig');
+const { parseXml, childElements, textContent } = require('../src/xmlReader');
+
+/**
+ * Parses a link file into its root element
+ * @param {string} xml - Link file content
+ * @returns {Object} - The cartridge_basiclti_link element
+ */
+function linkElement(xml) {
+  const [link] = childElements(parseXml(xml), 'cartridge_basiclti_link');
+  assert.ok(link, 'cartridge_basiclti_link root element');
+  return link;
+}
+
+/**
+ * Reads the text of a direct child element
+ * @param {Object} parent - Parent element
+ * @param {string} name - Local name of the child
+ * @returns {string|undefined} - Its text, or undefined when there is no such child
+ */
+function childText(parent, name) {
+  const [child] = childElements(parent, name);
+  return child && textContent(child);
+}
+
+/**
+ * Collects the properties of one platform's extensions block
+ * @param {Object} link - The cartridge_basiclti_link element
+ * @param {string} platform - Platform attribute of the block
+ * @returns {Object} - Property values keyed by name, nested blocks as objects
+ */
+function extensionProperties(link, platform) {
+  const block = childElements(link, 'extensions').find(extensions => extensions.attributes.platform === platform);
+  const read = parent => Object.fromEntries(childElements(parent, 'property').map(property => [
+    property.attributes.name,
+    childElements(property, 'property').length > 0 ? read(property) : textContent(property)
+  ]));
+  return block && read(block);
+}
+
+describe('generateBasicLtiXml', () => {
+  it('writes the title, launch URLs and default vendor', () => {
+    const link = linkElement(generateBasicLtiXml('https://example.com/chinese1/lessons', 'Lessons'));
+    assert.strictEqual(childText(link, 'title'), 'Lessons');
+    assert.strictEqual(childText(link, 'description'), 'Basic LTI Launch');
+    assert.strictEqual(childText(link, 'launch_url'), 'https://example.com/chinese1/lessons');
+    assert.strictEqual(childText(link, 'secure_launch_url'), 'https://example.com/chinese1/lessons');
+    assert.strictEqual(childText(childElements(link, 'vendor')[0], 'code'), 'external_tool');
+  });
+
+  it('escapes markup in titles and URLs', () => {
+    const xml = generateBasicLtiXml('https://example.com/a?x=1&y=2', 'Tom & <Jerry>');
+    assert.ok(xml.includes('<blti:title>Tom &amp; &lt;Jerry&gt;</blti:title>'));
+    assert.strictEqual(childText(linkElement(xml), 'launch_url'), 'https://example.com/a?x=1&y=2');
+  });
+
+  it('falls back to a generic title', () => {
+    assert.strictEqual(childText(linkElement(generateBasicLtiXml('https://example.com/a')), 'title'), 'External Tool');
+  });
+
+  it('uses the namespace of the profile', () => {
+    assert.match(generateBasicLtiXml('https://example.com/a', 'A'), /xmlns="http:\/\/www\.imsglobal\.org\/xsd\/imslticc_v1p0"/);
+    assert.match(
+      generateBasicLtiXml('https://example.com/a', 'A', { profile: getProfile('cc1.3') }),
+      /xmlns="http:\/\/www\.imsglobal\.org\/xsd\/imslticc_v1p3"/
+    );
+  });
+
+  it('writes custom parameters and the vendor of the tool block', () => {
+    const tool = resolveTool('https://example.com/a', {
+      vendor: { code: 'example', name: 'Example Learning' },
+      custom: { course_code: 'CHN1', unit: 1 }
+    });
+    const link = linkElement(generateBasicLtiXml('https://example.com/a', 'A', { tool }));
+    assert.deepStrictEqual(
+      Object.fromEntries(childElements(childElements(link, 'custom')[0], 'property').map(p => [p.attributes.name, textContent(p)])),
+      { course_code: 'CHN1', unit: '1' }
+    );
+    assert.strictEqual(childText(childElements(link, 'vendor')[0], 'name'), 'Example Learning');
+  });
+
+  it('leaves out platform extensions a plain link does not need', () => {
+    assert.strictEqual(extensionProperties(linkElement(generateBasicLtiXml('https://example.com/a', 'A')), 'canvas.instructure.com'), undefined);
+  });
+});
+
+describe('generateLtiAdvantageXml', () => {
+  const metadata = { type: 'quiz', points: 10, passingScore: 7, timeLimit: 30, attempts: 2, proctored: true };
+
+  it('describes the link as an LTI Advantage assessment', () => {
+    const link = linkElement(generateLtiAdvantageXml('https://lti.example.com/quiz', 'Quiz', metadata));
+    assert.strictEqual(childText(link, 'title'), 'Quiz');
+    assert.strictEqual(childText(link, 'description'), 'Assessment Launch via LTI Advantage');
+    assert.strictEqual(childText(link, 'launch_url'), 'https://lti.example.com/quiz');
+  });
+
+  it('falls back to a generic title', () => {
+    assert.strictEqual(childText(linkElement(generateLtiAdvantageXml('https://lti.example.com/quiz')), 'title'), 'Assessment');
+  });
+
+  it('writes the assessment settings and LTI 1.3 keys for Canvas', () => {
+    const link = linkElement(generateLtiAdvantageXml('https://lti.example.com/quiz', 'Quiz', metadata));
+    assert.deepStrictEqual(extensionProperties(link, 'canvas.instructure.com'), {
+      tool_id: 'lti_advantage_tool',
+      privacy_level: 'public',
+      lti_1_3_enabled: 'true',
+      public_jwk_url: 'https://lti.example.com/jwks',
+      assignment_enabled: 'true',
+      assignment_points_possible: '10',
+      time_limit: '30',
+      allowed_attempts: '2',
+      proctoring_enabled: 'true',
+      passing_score: '7',
+      settings: { oidc_initiation_url: 'https://lti.example.com/init' }
+    });
+  });
+
+  it('takes the keys from the tool block when it gives them', () => {
+    const tool = resolveTool('https://lti.example.com/quiz', {
+      jwksUrl: 'https://keys.example.com/jwks.json',
+      oidcLoginUrl: 'https://login.example.com/oidc'
+    });
+    const properties = extensionProperties(linkElement(generateLtiAdvantageXml('https://lti.example.com/quiz', 'Quiz', {}, { tool })), 'canvas.instructure.com');
+    assert.strictEqual(properties.public_jwk_url, 'https://keys.example.com/jwks.json');
+    assert.deepStrictEqual(properties.settings, { oidc_initiation_url: 'https://login.example.com/oidc' });
+  });
+
+  it('emits one extensions block per requested platform that has properties', () => {
+    const platforms = getPlatformAdapters(['canvas', 'd2l', 'moodle']);
+    const link = linkElement(generateLtiAdvantageXml('https://lti.example.com/quiz', 'Quiz', metadata, { platforms }));
+    const blocks = childElements(link, 'extensions').map(extensions => extensions.attributes.platform);
+    assert.ok(blocks.includes('canvas.instructure.com'));
+    assert.strictEqual(new Set(blocks).size, blocks.length);
+    assert.ok(blocks.length > 1, `expected several platforms, got ${blocks.join(', ')}`);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseCartridge } = require('../src/cartridgeGenerator');
+const { diffCartridges } = require('../src/cartridgeDiff');
+
+describe('parseCartridge', () => {
+  it('names the package when the file does not exist', async () => {
+    const missing = path.join(__dirname, 'fixtures', 'missing.imscc');
+    await assert.rejects(parseCartridge(missing), { message: `Cannot read cartridge ${missing}: no such file` });
+  });
+
+  it('names the package when it is not a zip', async () => {
+    const notZip = path.join(__dirname, 'fixtures', 'chinese1C.json');
+    await assert.rejects(parseCartridge(notZip), err => {
+      assert.match(err.message, new RegExp(`^Cannot read cartridge ${notZip.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')}: `));
+      assert.ok(!err.message.includes('ADM-ZIP'));
+      return true;
+    });
+  });
+
+  it('reports a buffer that is not a zip', async () => {
+    await assert.rejects(parseCartridge(Buffer.from('not a zip')), /^Error: Cannot read cartridge \(buffer\): /);
+  });
+
+  it('reads chinese1C.imscc as the course in chinese1C-package.json', async () => {
+    const published = path.join(__dirname, '..', 'chinese1C.imscc');
+    const diff = await diffCartridges(published, require('./fixtures/chinese1C-package.json'));
+    assert.deepStrictEqual(diff.changes, []);
+    assert.strictEqual(diff.identical, true);
+  });
+});
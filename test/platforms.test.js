@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildCartridge, parseCartridge } = require('../src/cartridgeGenerator');
+const { ADAPTERS } = require('../src/platforms');
+
+// Course whose settings differ from every default, so a field lost on the way back shows
+const course = {
+  title: 'Platforms',
+  startDate: '2026-09-01T08:00:00-05:00',
+  tool: { display: 'newWindow', privacyLevel: 'name_only' },
+  assignmentGroups: [{ name: 'Exams', weight: 100 }],
+  modules: [
+    { title: 'Lesson', launchUrl: 'https://lti.example.com/course/lesson' },
+    {
+      type: 'assessment',
+      title: 'Final Exam',
+      launchUrl: 'https://lti.example.com/course/final',
+      assessmentMetadata: {
+        type: 'exam',
+        points: 50,
+        passingScore: 35,
+        timeLimit: 45,
+        attempts: 2,
+        proctored: true,
+        gradingType: 'percent',
+        assignmentGroup: 'Exams',
+        dueAt: '2026-12-15T23:59:00-05:00'
+      }
+    }
+  ]
+};
+
+// What each platform's extension block carries, and so what it must read back on its own
+const CARRIED = {
+  canvas: {
+    metadata: ['points', 'passingScore', 'timeLimit', 'attempts', 'proctored', 'gradingType', 'assignmentGroup', 'dueAt'],
+    tool: ['privacyLevel']
+  },
+  d2l: { metadata: ['points', 'passingScore'], tool: ['display'] },
+  moodle: { metadata: ['points'], tool: ['display', 'privacyLevel'] },
+  blackboard: { metadata: ['points', 'timeLimit', 'attempts'], tool: ['display'] },
+  schoology: { metadata: ['points'], tool: ['display'] }
+};
+
+/**
+ * Picks some fields of an object
+ * @param {Object} source - Object to pick from
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} - The fields, undefined where missing
+ */
+function pick(source = {}, fields) {
+  return Object.fromEntries(fields.map(field => [field, source[field]]));
+}
+
+describe('platform adapters', () => {
+  it('each have a parse counterpart to properties', () => {
+    Object.keys(ADAPTERS).forEach(name => assert.strictEqual(typeof ADAPTERS[name].parse, 'function', name));
+  });
+
+  Object.keys(CARRIED).forEach(name => {
+    it(`round-trips the settings ${name} carries when it is the only platform`, async () => {
+      const parsed = await parseCartridge(await buildCartridge(course, { platforms: [name] }).toBuffer());
+      const exam = parsed.modules[1];
+      const { metadata, tool } = CARRIED[name];
+
+      assert.strictEqual(exam.type, 'assessment');
+      assert.deepStrictEqual(pick(exam.assessmentMetadata, metadata), pick(course.modules[1].assessmentMetadata, metadata));
+      assert.deepStrictEqual(pick({ ...parsed.tool, ...exam.tool }, tool), pick(course.tool, tool));
+    });
+  });
+
+  it('prefers Canvas values when several platforms are emitted', async () => {
+    const parsed = await parseCartridge(await buildCartridge(course, { platforms: Object.keys(CARRIED) }).toBuffer());
+    assert.deepStrictEqual(parsed.modules[1].assessmentMetadata, course.modules[1].assessmentMetadata);
+    assert.strictEqual(parsed.tool.display, 'newWindow');
+    assert.strictEqual(parsed.tool.privacyLevel, 'name_only');
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { startPreview } = require('../src/previewServer');
+
+const course = {
+  title: 'Preview <Course>',
+  modules: [
+    {
+      title: 'Week 1',
+      children: [{ title: 'Q&A <live>', launchUrl: 'https://lti.example.com/course/qa?a=1&b=2' }]
+    }
+  ]
+};
+
+/**
+ * Requests a path from the preview server without normalising it
+ * @param {string} url - Base URL of the server
+ * @param {string} requestPath - Path to request, sent as written
+ * @returns {Promise<Object>} - { status, headers, body } with the body as a Buffer
+ */
+function get(url, requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get(new URL(url), { path: requestPath }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+describe('startPreview', () => {
+  it('serves the tree, status, files and package of the latest build', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thincc-preview-'));
+    const coursePath = path.join(dir, 'course.json');
+    await fs.promises.writeFile(coursePath, JSON.stringify(course));
+
+    // Keep hold of the watcher to see that close() releases it
+    const watch = fs.watch;
+    let watcher;
+    mock.method(fs, 'watch', (...args) => {
+      watcher = watch(...args);
+      return watcher;
+    });
+
+    const builds = [];
+    const preview = await startPreview(coursePath, {
+      port: 0,
+      outputDir: path.join(dir, 'output'),
+      onBuild: build => builds.push(build)
+    });
+    fs.watch.mock.restore();
+
+    try {
+      const page = (await get(preview.url, '/')).body.toString();
+      assert.match(page, /Preview &lt;Course&gt;/);
+      assert.match(page, /<strong>Q&amp;A &lt;live&gt;<\/strong>/);
+      assert.match(page, /https:\/\/lti\.example\.com\/course\/qa\?a=1&amp;b=2/);
+      assert.ok(!page.includes('<live>'));
+
+      assert.deepStrictEqual(JSON.parse((await get(preview.url, '/status')).body), { build: 1, error: null });
+      await preview.rebuild();
+      assert.deepStrictEqual(JSON.parse((await get(preview.url, '/status')).body), { build: 2, error: null });
+      assert.deepStrictEqual(builds, [{ build: 1, error: null }, { build: 2, error: null }]);
+
+      const manifest = await get(preview.url, '/files/imsmanifest.xml');
+      assert.strictEqual(manifest.status, 200);
+      assert.match(manifest.body.toString(), /^<\?xml/);
+      assert.strictEqual((await get(preview.url, '/files/../x')).status, 403);
+      assert.strictEqual((await get(preview.url, '/files/..%2Fcourse.imscc')).status, 403);
+      assert.strictEqual((await get(preview.url, '/files/missing.xml')).status, 404);
+
+      const download = await get(preview.url, '/download');
+      assert.strictEqual(download.status, 200);
+      assert.strictEqual(download.headers['content-type'], 'application/zip');
+      assert.ok(new AdmZip(download.body).getEntry('imsmanifest.xml'));
+    } finally {
+      const closed = new Promise(resolve => watcher.once('close', resolve));
+      await preview.close();
+      await closed;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});